@@ -1,17 +1,221 @@
-const { app, BrowserWindow, ipcMain, dialog } = require("electron");
+const { app, BrowserWindow, ipcMain, dialog, shell } = require("electron");
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
+const os = require("os");
+const { execFile } = require("child_process");
 const ffmpeg = require("fluent-ffmpeg");
 const { v4: uuidv4 } = require("uuid");
 
 // FFmpeg Configuration
 class FFmpegConfig {
-    static setPath() {
+    // Where to look for a binary, in order: FFMPEG_PATH/FFPROBE_PATH, a copy shipped
+    // with the app, PATH, then the usual install locations (GUI apps on macOS don't
+    // get the shell's PATH, so Homebrew installs have to be listed)
+    static getBinaryCandidates(name) {
+        const executable = process.platform === 'win32' ? `${name}.exe` : name;
+        const candidates = [
+            process.env[`${name.toUpperCase()}_PATH`],
+            process.resourcesPath && path.join(process.resourcesPath, 'ffmpeg', executable),
+            path.join(__dirname, 'ffmpeg', executable),
+            path.join(__dirname, 'bin', executable),
+            executable
+        ];
+
         if (process.platform === 'win32') {
-            // Auto-detect or use configured paths
-            ffmpeg.setFfmpegPath("ffmpeg.exe");
-            ffmpeg.setFfprobePath("ffprobe.exe");
+            candidates.push(path.join('C:\\ffmpeg\\bin', executable));
+        } else {
+            candidates.push(...['/opt/homebrew/bin', '/usr/local/bin', '/usr/bin', '/snap/bin'].map(dir => path.join(dir, executable)));
+        }
+
+        return [...new Set(candidates.filter(Boolean))];
+    }
+
+    // stdout of a short-lived command; rejects if the binary can't be run
+    static runBinary(binary, args) {
+        return new Promise((resolve, reject) => {
+            execFile(binary, args, { timeout: 10000, maxBuffer: 8 * 1024 * 1024 }, (err, stdout) => {
+                if (err) return reject(err);
+                resolve(stdout);
+            });
+        });
+    }
+
+    static async findBinary(name) {
+        for (const candidate of FFmpegConfig.getBinaryCandidates(name)) {
+            try {
+                const output = await FFmpegConfig.runBinary(candidate, ['-version']);
+                return { path: candidate, output };
+            } catch (err) {
+                // Not there or not runnable; try the next one
+            }
+        }
+        return null;
+    }
+
+    // Find ffmpeg and ffprobe and list the encoders and filters the build has.
+    // Runs once at startup; exports are checked against it before they start.
+    static async probe() {
+        const [ffmpegBinary, ffprobeBinary] = await Promise.all([
+            FFmpegConfig.findBinary('ffmpeg'),
+            FFmpegConfig.findBinary('ffprobe')
+        ]);
+
+        const capabilities = {
+            ffmpegPath: ffmpegBinary ? ffmpegBinary.path : null,
+            ffprobePath: ffprobeBinary ? ffprobeBinary.path : null,
+            version: null,
+            encoders: [],
+            filters: []
+        };
+
+        if (ffmpegBinary) {
+            ffmpeg.setFfmpegPath(ffmpegBinary.path);
+            capabilities.version = (/version\s+(\S+)/.exec(ffmpegBinary.output) || [])[1] || null;
+
+            try {
+                const [encoders, filters] = await Promise.all([
+                    FFmpegConfig.runBinary(ffmpegBinary.path, ['-hide_banner', '-encoders']),
+                    FFmpegConfig.runBinary(ffmpegBinary.path, ['-hide_banner', '-filters'])
+                ]);
+                // " V....D libx264   libx264 H.264 ..." below the "------" line
+                capabilities.encoders = encoders.split('------').pop().split('\n')
+                    .map(line => /^\s*[VAS][A-Z.]{5}\s+(\S+)/.exec(line))
+                    .filter(Boolean)
+                    .map(match => match[1]);
+                // " TSC xfade   VV->V   Cross fade ..."
+                capabilities.filters = filters.split('\n')
+                    .map(line => /^\s*[T.][S.][C.]?\s+(\S+)\s+\S*->\S*/.exec(line))
+                    .filter(Boolean)
+                    .map(match => match[1]);
+            } catch (err) {
+                console.error('Error listing ffmpeg capabilities:', err);
+            }
+        }
+
+        if (ffprobeBinary) {
+            ffmpeg.setFfprobePath(ffprobeBinary.path);
+        }
+
+        FFmpegConfig.capabilities = capabilities;
+        return capabilities;
+    }
+
+    // Until the probe has run, everything is assumed to be there
+    static hasEncoder(name) {
+        const capabilities = FFmpegConfig.capabilities;
+        return !capabilities || capabilities.encoders.includes(name);
+    }
+
+    static hasFilter(name) {
+        const capabilities = FFmpegConfig.capabilities;
+        return !capabilities || capabilities.filters.includes(name);
+    }
+
+    // For the few probes fluent-ffmpeg can't express (keyframe positions)
+    static getFfprobePath() {
+        const capabilities = FFmpegConfig.capabilities;
+        if (capabilities && capabilities.ffprobePath) return capabilities.ffprobePath;
+        return process.platform === 'win32' ? 'ffprobe.exe' : 'ffprobe';
+    }
+
+    // What an export needs from the ffmpeg build that it doesn't have. Both binaries
+    // are needed (ffprobe measures segments and finds keyframes). Every export writes
+    // H.264/AAC intermediates; the output format and text add their own needs.
+    // Transitions and ducking aren't listed: without them the export falls back to
+    // hard cuts and a plain mix.
+    static getMissingFeatures({ format, textClips = [] } = {}) {
+        const capabilities = FFmpegConfig.capabilities;
+        if (capabilities) {
+            const binaries = ['ffmpeg', 'ffprobe'].filter(name => !capabilities[`${name}Path`]);
+            if (binaries.length > 0) return binaries;
+        }
+
+        const { encoders = [], filters = [] } = FFmpegConfig.getFormatProfile(format).requires || {};
+        const missing = [
+            ...['libx264', 'aac', ...encoders].filter(name => !FFmpegConfig.hasEncoder(name)).map(name => `${name} encoder`),
+            ...filters.filter(name => !FFmpegConfig.hasFilter(name)).map(name => `${name} filter`)
+        ];
+        if (textClips.length > 0 && !FFmpegConfig.hasFilter('drawtext')) missing.push('drawtext filter');
+
+        return [...new Set(missing)];
+    }
+
+    // Output formats with what each is missing, for the export settings
+    static getFormatAvailability() {
+        const availability = {};
+        Object.keys(FFmpegConfig.getFormatProfiles()).forEach(format => {
+            const missing = FFmpegConfig.getMissingFeatures({ format });
+            availability[format] = { available: missing.length === 0, missing };
+        });
+        return availability;
+    }
+
+    // Project canvas sizes: landscape, vertical (9:16), portrait (4:5) and square
+    static getResolutionMap() {
+        return {
+            '4K': { width: 3840, height: 2160 },
+            '1080p': { width: 1920, height: 1080 },
+            '720p': { width: 1280, height: 720 },
+            '480p': { width: 854, height: 480 },
+            'vertical-1080': { width: 1080, height: 1920 },
+            'vertical-720': { width: 720, height: 1280 },
+            'portrait-1080': { width: 1080, height: 1350 },
+            'square-1080': { width: 1080, height: 1080 },
+            'square-720': { width: 720, height: 720 }
+        };
+    }
+
+    static getCanvas(resolution) {
+        const resolutionMap = FFmpegConfig.getResolutionMap();
+        return resolutionMap[resolution] || resolutionMap['1080p'];
+    }
+
+    // Source codecs smart render can splice: the encoder for the re-encoded ends, the
+    // bitstream filter that repeats parameter sets in-band so the parts join cleanly,
+    // and the MP4 sample entry that tells players to read them from the stream
+    static getSmartCutCodecs() {
+        return {
+            'h264': { encoder: 'libx264', bitstreamFilter: 'h264_mp4toannexb', tag: 'avc3' },
+            'hevc': { encoder: 'libx265', bitstreamFilter: 'hevc_mp4toannexb', tag: 'hev1' }
+        };
+    }
+
+    // Encoder options that give the re-encoded ends the source stream's profile, level
+    // and reference frames, with headers repeated at every keyframe. Null when the
+    // source's profile is one the encoder can't match, so the clip is re-encoded whole.
+    static getSmartCutEncoderOptions(video) {
+        const profile = (video.profile || '').toLowerCase();
+        if (!(video.level > 0)) return null;
+
+        if (video.codec === 'h264') {
+            const profiles = {
+                'constrained baseline': 'baseline',
+                'baseline': 'baseline',
+                'main': 'main',
+                'high': 'high',
+                'high 10': 'high10',
+                'high 4:2:2': 'high422',
+                'high 4:4:4 predictive': 'high444'
+            };
+            if (!profiles[profile]) return null;
+            return [
+                '-profile:v', profiles[profile],
+                // ffprobe reports H.264 levels times ten
+                '-level:v', (video.level / 10).toFixed(1),
+                ...(video.refs > 0 ? ['-refs', String(video.refs)] : []),
+                '-x264-params', 'repeat-headers=1'
+            ];
+        }
+
+        if (video.codec === 'hevc') {
+            const profiles = { 'main': 'main', 'main 10': 'main10' };
+            if (!profiles[profile]) return null;
+            // ...and HEVC levels times thirty
+            return ['-profile:v', profiles[profile], '-x265-params', `level-idc=${(video.level / 30).toFixed(1)}:repeat-headers=1`];
         }
+
+        return null;
     }
 
     static getQualityPresets() {
@@ -23,13 +227,122 @@ class FFmpegConfig {
             'copy': { codec: 'copy' }
         };
     }
+
+    // Encoder settings per output format. MP4 exports are written by the export
+    // stages themselves; other formats get a final encode with these, from lossless
+    // intermediates.
+    // Short-loop formats have no audio and are capped in length. `requires` lists
+    // what the ffmpeg build must have for the format to be offered.
+    static getFormatProfiles() {
+        return {
+            'mp4': {
+                label: 'MP4 (H.264/AAC)',
+                extension: 'mp4',
+                requires: { encoders: ['libx264', 'aac'] },
+                video: ({ crf, preset, bitrate }) => [
+                    '-c:v', 'libx264', '-preset', preset, '-crf', String(crf),
+                    '-maxrate', `${bitrate * 1.5}M`, '-bufsize', `${bitrate * 2}M`, '-pix_fmt', 'yuv420p'
+                ],
+                audio: ['-c:a', 'aac', '-b:a', '192k'],
+                container: ['-movflags', '+faststart']
+            },
+            'mp4-hevc': {
+                label: 'MP4 (H.265/AAC)',
+                extension: 'mp4',
+                requires: { encoders: ['libx265', 'aac'] },
+                // x265 reaches the same quality at a higher CRF; hvc1 lets Apple players open it
+                video: ({ crf, preset, bitrate }) => [
+                    '-c:v', 'libx265', '-preset', preset, '-crf', String(crf + 4),
+                    '-maxrate', `${bitrate * 1.5}M`, '-bufsize', `${bitrate * 2}M`, '-tag:v', 'hvc1', '-pix_fmt', 'yuv420p'
+                ],
+                audio: ['-c:a', 'aac', '-b:a', '192k'],
+                container: ['-movflags', '+faststart']
+            },
+            'webm': {
+                label: 'WebM (VP9/Opus)',
+                extension: 'webm',
+                requires: { encoders: ['libvpx-vp9', 'libopus'] },
+                // Constrained quality: CRF with the bitrate as a ceiling
+                video: ({ crf, bitrate }) => [
+                    '-c:v', 'libvpx-vp9', '-crf', String(crf + 12), '-b:v', `${bitrate}M`,
+                    '-row-mt', '1', '-deadline', 'good', '-cpu-used', '2', '-pix_fmt', 'yuv420p'
+                ],
+                audio: ['-c:a', 'libopus', '-b:a', '160k'],
+                container: []
+            },
+            'mov': {
+                label: 'MOV (ProRes 422/PCM)',
+                extension: 'mov',
+                requires: { encoders: ['prores_ks', 'pcm_s16le'] },
+                video: () => ['-c:v', 'prores_ks', '-profile:v', '2', '-vendor', 'apl0', '-pix_fmt', 'yuv422p10le'],
+                audio: ['-c:a', 'pcm_s16le'],
+                container: []
+            },
+            'avi': {
+                label: 'AVI (MPEG-4/MP3)',
+                extension: 'avi',
+                requires: { encoders: ['mpeg4', 'libmp3lame'] },
+                video: ({ crf }) => ['-c:v', 'mpeg4', '-vtag', 'xvid', '-q:v', crf <= 20 ? '2' : '4'],
+                audio: ['-c:a', 'libmp3lame', '-b:a', '192k'],
+                container: []
+            },
+            'gif': {
+                label: 'Animated GIF',
+                extension: 'gif',
+                requires: { encoders: ['gif'], filters: ['palettegen', 'paletteuse'] },
+                loop: { fps: 15, size: 480, maxDuration: 30 },
+                video: () => ['-loop', '0'],
+                audio: ['-an'],
+                container: []
+            },
+            'webp': {
+                label: 'Animated WebP',
+                extension: 'webp',
+                requires: { encoders: ['libwebp'] },
+                loop: { fps: 15, size: 480, maxDuration: 30 },
+                video: ({ crf }) => ['-c:v', 'libwebp', '-quality', crf <= 20 ? '85' : '70', '-loop', '0'],
+                audio: ['-an'],
+                container: []
+            }
+        };
+    }
+
+    static getFormatProfile(format) {
+        const profiles = FFmpegConfig.getFormatProfiles();
+        return profiles[format] || profiles.mp4;
+    }
+
+    // Every format but H.264 MP4 is encoded once more after the last export stage
+    static needsFinalEncode(format) {
+        return !!format && format !== 'mp4' && !!FFmpegConfig.getFormatProfiles()[format];
+    }
+
+    // What segments and stages write when a final encode follows: lossless H.264 and
+    // ALAC, so that encode is the only one that loses anything
+    static getLosslessIntermediate() {
+        return {
+            video: ['-c:v', 'libx264', '-preset', 'ultrafast', '-qp', '0', '-pix_fmt', 'yuv420p'],
+            audio: ['-c:a', 'alac']
+        };
+    }
 }
 
 // Video Processing Service
 class VideoProcessor {
-    constructor() {
-        this.tempDir = path.join(__dirname, "temp");
+    // Export jobs each get their own processor, temp directory and job id,
+    // so their files and ffmpeg processes can be cleaned up independently
+    constructor(options = {}) {
+        this.tempDir = options.tempDir || path.join(__dirname, "temp");
+        this.jobId = options.jobId || null;
+        this.renderCache = options.renderCache || null;
+        this.commands = new Set();
+        this.cancelled = false;
+        this.suspended = false;
+        this.onProgress = null;
+        // Encoder threads per ffmpeg process while segments render side by side
+        this.threads = null;
         this.ensureTempDir();
+        this.textOverlay = new TextOverlayProcessor(this);
     }
 
     ensureTempDir() {
@@ -38,26 +351,104 @@ class VideoProcessor {
         }
     }
 
-    // Enhanced trimming with smart encoding
+    // Enhanced trimming with smart encoding.
+    // sourceIn/sourceOut are positions in the source file, not on the timeline.
     async trimSegment(options) {
-        const { inputPath, startTime, endTime, segmentId, quality = 'high', effects = [] } = options;
+        const {
+            inputPath,
+            sourceIn,
+            sourceOut,
+            segmentId,
+            quality = 'high',
+            effects = [],
+            volume = 100,
+            opacity = 100,
+            visualEffects = {},
+            transform = null,
+            fit = 'fit',
+            resolution = '1080p',
+            lossless = false
+        } = options;
+        const speed = Math.min(4, Math.max(0.25, options.speed || 1));
         const outputPath = path.join(this.tempDir, `segment_${segmentId}.mp4`);
 
+        // Reverse the source range first, then trim the reversed file like any other source
+        if (effects.some(effect => effect.type === 'reverse')) {
+            const reversedPath = await this.reverseRange({ inputPath, sourceIn, sourceOut, segmentId, quality, lossless });
+            try {
+                return await this.trimSegment({
+                    ...options,
+                    inputPath: reversedPath,
+                    sourceIn: 0,
+                    sourceOut: sourceOut - sourceIn,
+                    effects: effects.filter(effect => effect.type !== 'reverse')
+                });
+            } finally {
+                this.removeTempFile(reversedPath);
+            }
+        }
+
+        // Smart render leaves untouched clips as they are, apart from the GOPs cut open at
+        // each end. Lossless segments are encoded again at the end, so it gains nothing there.
+        const spliceable = speed === 1 && effects.length === 0 && volume === 100 &&
+            this.buildVisualFilters(visualEffects).length === 0 && !this.needsCompositing({ opacity, transform });
+        if (options.smartRender && !lossless && spliceable && sourceOut - sourceIn > 0) {
+            try {
+                const result = await this.smartCut({ inputPath, sourceIn, sourceOut, segmentId, quality, outputPath });
+                if (result) return result;
+            } catch (err) {
+                if (this.cancelled) throw err;
+                console.error(`Smart render failed for segment ${segmentId}, re-encoding:`, err);
+            }
+        }
+
         return new Promise((resolve, reject) => {
-            const duration = endTime - startTime;
+            const duration = sourceOut - sourceIn;
+            if (!(sourceIn >= 0) || !(duration > 0)) {
+                return reject(new Error(`Invalid source range ${sourceIn}-${sourceOut} for segment ${segmentId}`));
+            }
+
             const qualitySettings = FFmpegConfig.getQualityPresets()[quality];
 
+            // Limit the read on the input side so retimed output isn't cut short
             const command = ffmpeg(inputPath)
-                .seekInput(startTime)
-                .duration(duration);
+                .seekInput(sourceIn)
+                .inputOptions(['-t', String(duration)]);
+
+            // Retime before effects so fades line up with the timeline
+            const videoFilters = [];
+            if (speed !== 1) {
+                videoFilters.push(`setpts=PTS/${speed}`);
+                command.audioFilters(this.buildTempoFilters(speed));
+            }
+
+            // Drag-and-drop effects, then the inspector's sliders
+            videoFilters.push(...this.buildEffectFilters(effects));
+            videoFilters.push(...this.buildVisualFilters(visualEffects));
+
+            const canvas = FFmpegConfig.getCanvas(resolution);
+            const composite = this.needsCompositing({ opacity, transform });
 
-            // Apply video effects
-            this.applyEffects(command, effects);
+            if (composite) {
+                command
+                    .complexFilter(this.buildCompositeGraph(videoFilters, { opacity, transform, canvas, fit }), 'outv')
+                    .outputOptions(['-map', '0:a?']);
+            } else if (videoFilters.length > 0) {
+                command.videoFilters(videoFilters);
+            }
+
+            if (volume !== 100) {
+                command.audioFilters(`volume=${volume / 100}`);
+            }
 
             // Smart encoding based on conditions
-            if (startTime === 0 && effects.length === 0 && quality === 'copy') {
+            const untouched = videoFilters.length === 0 && !composite && volume === 100;
+            if (sourceIn === 0 && untouched && quality === 'copy') {
                 // Direct copy for untouched segments
                 command.videoCodec('copy').audioCodec('copy');
+            } else if (lossless) {
+                const intermediate = FFmpegConfig.getLosslessIntermediate();
+                command.outputOptions([...intermediate.video, ...intermediate.audio]);
             } else {
                 // High-quality re-encoding
                 command
@@ -72,166 +463,1007 @@ class VideoProcessor {
                     ]);
             }
 
-            this.executeCommand(command, outputPath, 'trim', segmentId)
-                .then(() => resolve({ success: true, outputPath, segmentId }))
+            command.output(outputPath);
+
+            this.executeCommand(command, outputPath, 'trim', segmentId, duration / speed)
+                .then(() => resolve({ success: true, outputPath, segmentId, duration: duration / speed }))
                 .catch(reject);
         });
     }
 
-    // Advanced video merging with transitions
+    // Render segments through a pool of at most `workers` ffmpeg processes (one per CPU
+    // by default). Results come back in the order given, whatever order they finish in.
+    // The first failure stops the other workers and rejects with that error.
+    // Each encode is held to its share of the CPUs: left alone, every libx264 would
+    // start 1.5 threads per core, each with its own lookahead buffers.
+    async renderSegments(segments, workers = os.cpus().length) {
+        const results = new Array(segments.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < segments.length && !this.cancelled) {
+                const index = next++;
+                try {
+                    results[index] = await this.renderSegment(segments[index]);
+                } catch (err) {
+                    if (!this.cancelled) this.abort(err);
+                }
+            }
+        };
+
+        const poolSize = Math.max(1, Math.min(workers, segments.length));
+        this.threads = Math.max(1, Math.floor(workers / poolSize));
+        try {
+            await Promise.all(Array.from({ length: poolSize }, worker));
+        } finally {
+            this.threads = null;
+        }
+
+        if (this.failure) throw this.failure;
+        if (this.cancelled) throw new Error('Export cancelled');
+        return results;
+    }
+
+    // Trim one segment, reusing an identical render from an earlier export when there is one
+    async renderSegment(options) {
+        if (!this.renderCache) return this.trimSegment(options);
+
+        const { segmentId, sourceIn, sourceOut } = options;
+        const key = await this.renderCache.getKey(options);
+        const outputPath = path.join(this.tempDir, `segment_${segmentId}.mp4`);
+
+        const cached = await this.renderCache.restore(key, outputPath);
+        if (cached) {
+            const speed = Math.min(4, Math.max(0.25, options.speed || 1));
+            this.sendProgress('trim', 'completed', { segmentId, cached: true });
+            return { success: true, outputPath, segmentId, duration: (sourceOut - sourceIn) / speed, smartCut: cached.smartCut };
+        }
+
+        const result = await this.trimSegment(options);
+        try {
+            await this.renderCache.store(key, result.outputPath, !!result.smartCut);
+        } catch (err) {
+            // The export doesn't depend on the cache, so carry on without it
+            console.error(`Error caching segment ${segmentId}:`, err);
+        }
+        return result;
+    }
+
+    // Merge segments, then run the post-merge stages (layers, text overlays, audio mixdown)
     async mergeVideos(options) {
-        const { segments, outputPath, settings = {}, transitions = [] } = options;
+        const {
+            segments,
+            outputPath,
+            duration = 0,
+            settings = {},
+            transitions = [],
+            overlayClips = [],
+            textClips = [],
+            audioClips = []
+        } = options;
+
+        const profile = FFmpegConfig.getFormatProfile(settings.format);
+        if (profile.loop && duration > profile.loop.maxDuration) {
+            throw new Error(`${profile.label} exports are limited to ${profile.loop.maxDuration} seconds`);
+        }
 
-        return new Promise((resolve, reject) => {
-            if (segments.length === 0) {
-                return reject(new Error('No segments to merge'));
-            }
+        // Each stage reads the previous stage's output and writes its own
+        const stages = [];
+        if (overlayClips.length > 0) {
+            stages.push((inputPath, stageOutput) => this.compositeLayers({
+                inputPath, outputPath: stageOutput, overlayClips, settings, duration
+            }));
+        }
+        if (textClips.length > 0) {
+            stages.push((inputPath, stageOutput) => this.textOverlay.renderOverlays({
+                inputPath, outputPath: stageOutput, textClips, settings, duration
+            }));
+        }
+        if (audioClips.length > 0) {
+            stages.push((inputPath, stageOutput) => this.mixAudioTracks({
+                inputPath, outputPath: stageOutput, audioClips, settings
+            }));
+        }
+        if (FFmpegConfig.needsFinalEncode(settings.format)) {
+            stages.push((inputPath, stageOutput) => this.encodeOutput({
+                inputPath, outputPath: stageOutput, settings, duration
+            }));
+        }
+
+        const intermediates = [];
+        const stagePath = (isLast) => {
+            if (isLast) return outputPath;
+            const intermediate = this.createTempPath('stage', 'mp4');
+            intermediates.push(intermediate);
+            return intermediate;
+        };
+
+        try {
+            let currentPath = stagePath(stages.length === 0);
+            await this.mergeSegments({ segments, outputPath: currentPath, settings, transitions, duration });
 
-            if (segments.length === 1) {
-                return this.handleSingleSegment(segments[0].path, outputPath, resolve, reject);
+            for (let i = 0; i < stages.length; i++) {
+                const stageOutput = stagePath(i === stages.length - 1);
+                await stages[i](currentPath, stageOutput);
+                currentPath = stageOutput;
             }
+        } finally {
+            intermediates.forEach(file => this.removeTempFile(file));
+        }
 
-            const command = ffmpeg();
-            segments.forEach(segment => command.input(segment.path));
+        return { success: true, outputPath };
+    }
+
+    // Mix audio-track clips over the video's own audio at their timeline offsets
+    async mixAudioTracks(options) {
+        const { inputPath, outputPath, audioClips, settings = {} } = options;
+        const info = await MediaInfoService.getMediaInfo(inputPath);
 
-            // Build complex filter for merging
-            const filterComplex = this.buildMergeFilter(segments, transitions);
-            const outputSettings = this.getOutputSettings(settings);
+        const command = ffmpeg(inputPath);
+        const filters = [];
 
+        // Silent bed for videos without audio so the mix always spans the full video
+        let baseLabel = '0:a';
+        if (!info.hasAudio) {
             command
-                .complexFilter(filterComplex)
-                .outputOptions([
-                    '-map', '[outv]',
-                    '-map', '[outa]',
-                    ...outputSettings
-                ])
-                .output(outputPath);
+                .input(`anullsrc=r=48000:cl=stereo`)
+                .inputOptions(['-f', 'lavfi', '-t', String(info.duration)]);
+            baseLabel = '1:a';
+        }
+        const firstClipInput = info.hasAudio ? 1 : 2;
 
-            this.executeCommand(command, outputPath, 'merge')
-                .then(() => {
-                    this.cleanupSegments(segments);
-                    resolve({ success: true, outputPath });
-                })
-                .catch(reject);
+        const mixLabels = [];
+        const duckLabels = [];
+
+        audioClips.forEach((clip, index) => {
+            const sourceDuration = clip.sourceOut - clip.sourceIn;
+            command
+                .input(clip.mediaItem.filePath)
+                .inputOptions(['-ss', String(clip.sourceIn), '-t', String(sourceDuration)]);
+
+            const label = `clip${index}`;
+            filters.push(`[${firstClipInput + index}:a]${this.buildAudioClipFilter(clip, sourceDuration)}[${label}]`);
+
+            // Builds without sidechaincompress get a plain mix
+            if (clip.audioEffects?.duck && info.hasAudio && FFmpegConfig.hasFilter('sidechaincompress')) {
+                duckLabels.push(label);
+            } else {
+                mixLabels.push(label);
+            }
         });
+
+        let mainLabel = baseLabel;
+        if (duckLabels.length > 0) {
+            // The video's own audio drives the compressor that lowers ducked clips
+            filters.push(`[${baseLabel}]asplit=2[base][duckkey]`);
+            mainLabel = 'base';
+
+            let duckBus = duckLabels[0];
+            if (duckLabels.length > 1) {
+                filters.push(`${duckLabels.map(label => `[${label}]`).join('')}amix=inputs=${duckLabels.length}:duration=longest:normalize=0[duckbus]`);
+                duckBus = 'duckbus';
+            }
+            filters.push(`[${duckBus}][duckkey]sidechaincompress=threshold=0.03:ratio=8:attack=20:release=400[ducked]`);
+            mixLabels.push('ducked');
+        }
+
+        const mixInputs = [mainLabel, ...mixLabels];
+        filters.push(`${mixInputs.map(label => `[${label}]`).join('')}amix=inputs=${mixInputs.length}:duration=first:normalize=0,alimiter=limit=0.95[outa]`);
+
+        command
+            .complexFilter(filters)
+            .outputOptions([
+                '-map', '0:v',
+                '-map', '[outa]',
+                '-c:v', 'copy',
+                ...(FFmpegConfig.needsFinalEncode(settings.format)
+                    ? FFmpegConfig.getLosslessIntermediate().audio
+                    : ['-c:a', 'aac', '-b:a', '192k'])
+            ])
+            .output(outputPath);
+
+        await this.executeCommand(command, outputPath, 'audio-mix', null, info.duration);
+        return { success: true, outputPath };
     }
 
-    // Apply visual effects to command
-    applyEffects(command, effects) {
-        if (!effects || effects.length === 0) return;
+    // Speed, volume, fades and timeline offset for a single audio clip
+    buildAudioClipFilter(clip, sourceDuration) {
+        const filters = ['aformat=sample_rates=48000:channel_layouts=stereo'];
+        const audioEffects = clip.audioEffects || {};
+        const speed = clip.speed || 1;
+        const duration = sourceDuration / speed;
 
-        const filters = [];
-        effects.forEach(effect => {
-            switch (effect.type) {
-                case 'brightness':
-                    filters.push(`eq=brightness=${effect.parameters.value / 100}`);
-                    break;
-                case 'contrast':
-                    filters.push(`eq=contrast=${effect.parameters.value / 100}`);
-                    break;
-                case 'blur':
-                    filters.push(`boxblur=${effect.parameters.radius}:${effect.parameters.radius}`);
-                    break;
-                case 'fade-in':
-                    filters.push(`fade=in:0:${effect.parameters.duration * 30}`);
-                    break;
-                case 'fade-out':
-                    filters.push(`fade=out:${(effect.startTime || 0) * 30}:${effect.parameters.duration * 30}`);
-                    break;
+        if ((clip.effects || []).some(effect => effect.type === 'reverse')) {
+            filters.push('areverse');
+        }
+        if (speed !== 1) {
+            filters.push(...this.buildTempoFilters(speed));
+        }
+
+        if (clip.volume !== undefined && clip.volume !== 100) {
+            filters.push(`volume=${clip.volume / 100}`);
+        }
+        if (audioEffects.fadeIn > 0) {
+            filters.push(`afade=t=in:st=0:d=${Math.min(audioEffects.fadeIn, duration)}`);
+        }
+        if (audioEffects.fadeOut > 0) {
+            const fadeOut = Math.min(audioEffects.fadeOut, duration);
+            filters.push(`afade=t=out:st=${duration - fadeOut}:d=${fadeOut}`);
+        }
+
+        const delayMs = Math.round(clip.startTime * 1000);
+        if (delayMs > 0) {
+            filters.push(`adelay=delays=${delayMs}:all=1`);
+        }
+
+        return filters.join(',');
+    }
+
+    // Lay segments out at their timeline positions. Gaps between them, and up to
+    // `duration`, become black frames with silence.
+    async mergeSegments(options) {
+        const { segments, outputPath, settings = {}, duration = 0 } = options;
+        // Builds without xfade cut straight from one segment to the next
+        const transitions = FFmpegConfig.hasFilter('xfade') ? options.transitions || [] : [];
+
+        if (segments.length === 0 && !(duration > 0)) {
+            throw new Error('No segments to merge');
+        }
+
+        const canvas = FFmpegConfig.getCanvas(settings.resolution);
+        const fps = settings.fps || 30;
+
+        // Probe what was actually rendered rather than trusting requested lengths
+        const ordered = [...segments].sort((a, b) => (a.timelineStart || 0) - (b.timelineStart || 0));
+        const infos = await Promise.all(ordered.map(segment => MediaInfoService.getMediaInfo(segment.path)));
+        const laidOut = ordered.map((segment, index) => ({
+            ...segment,
+            duration: infos[index].duration || segment.duration,
+            hasAudio: infos[index].hasAudio
+        }));
+
+        // A single segment that already fills the whole canvas and timeline is copied as-is
+        const single = laidOut.length === 1 ? laidOut[0] : null;
+        if (single && single.hasAudio && !(single.timelineStart > 0.01) && !single.headHandle && !single.tailHandle &&
+            !(duration > single.duration + 0.01) &&
+            infos[0].video?.width === canvas.width && infos[0].video?.height === canvas.height) {
+            return new Promise((resolve, reject) =>
+                this.handleSingleSegment(single.path, outputPath, resolve, reject));
+        }
+
+        // Smart-cut segments that sit end to end and share codecs are joined without re-encoding
+        if (this.canConcatCopy(laidOut, infos, { canvas, fps, duration, transitions })) {
+            const listPath = this.createTempPath('concat', 'txt');
+            fs.writeFileSync(listPath, laidOut.map(segment => `file '${segment.path.replace(/'/g, "'\\''")}'`).join('\n'));
+            const { tag } = FFmpegConfig.getSmartCutCodecs()[infos[0].video.codec];
+
+            try {
+                const concat = ffmpeg()
+                    .input(listPath)
+                    .inputOptions(['-f', 'concat', '-safe', '0'])
+                    .outputOptions(['-c', 'copy', '-tag:v', tag, '-movflags', '+faststart'])
+                    .output(outputPath);
+                await this.executeCommand(concat, outputPath, 'merge', null, duration);
+            } finally {
+                this.removeTempFile(listPath);
             }
-        });
 
-        if (filters.length > 0) {
-            command.videoFilters(filters);
+            this.cleanupSegments(segments);
+            return { success: true, outputPath };
         }
+
+        const command = ffmpeg();
+        laidOut.forEach(segment => command.input(segment.path));
+
+        const filterComplex = this.buildTimelineFilter(laidOut, { canvas, fps, duration, transitions });
+        const outputSettings = this.getOutputSettings(settings);
+
+        command
+            .complexFilter(filterComplex)
+            .outputOptions([
+                '-map', '[outv]',
+                '-map', '[outa]',
+                ...outputSettings
+            ])
+            .output(outputPath);
+
+        await this.executeCommand(command, outputPath, 'merge', null, duration);
+        this.cleanupSegments(segments);
+        return { success: true, outputPath };
     }
 
-    // Build filter for merging with transitions
-    buildMergeFilter(segments, transitions) {
-        if (transitions.length === 0) {
-            return segments.map((_, index) => `[${index}:v][${index}:a]`).join('') +
-                `concat=n=${segments.length}:v=1:a=1[outv][outa]`;
+    // Stream copy is only safe for smart-cut segments (their parameter sets are in-band)
+    // of one source file, so profile, level and headers agree, that fill the timeline
+    // with no gaps, handles or transitions and already match the canvas size and frame rate.
+    canConcatCopy(segments, infos, { canvas, fps, duration, transitions = [] }) {
+        if (segments.length === 0 || transitions.length > 0) return false;
+        if (!segments.every(segment => segment.smartCut && segment.hasAudio && !segment.headHandle && !segment.tailHandle)) {
+            return false;
         }
+        if (!segments.every(segment => segment.sourcePath && segment.sourcePath === segments[0].sourcePath)) return false;
+
+        let cursor = 0;
+        for (const segment of segments) {
+            if (Math.abs((segment.timelineStart || 0) - cursor) > 0.05) return false;
+            cursor += segment.duration;
+        }
+        if (duration > 0 && Math.abs(duration - cursor) > 0.05) return false;
+
+        const [first] = infos;
+        if (!first.video || !FFmpegConfig.getSmartCutCodecs()[first.video.codec]) return false;
+        return infos.every(info => info.video && info.audio &&
+            info.video.codec === first.video.codec &&
+            info.video.profile === first.video.profile &&
+            info.video.level === first.video.level &&
+            info.video.pixelFormat === first.video.pixelFormat &&
+            info.video.width === canvas.width && info.video.height === canvas.height &&
+            info.video.fps === Math.round(fps) &&
+            info.audio.codec === first.audio.codec &&
+            info.audio.sampleRate === first.audio.sampleRate &&
+            info.audio.channels === first.audio.channels);
+    }
+
+    // Concat segments and generated gap fillers in timeline order. Every part is
+    // normalised to the canvas size, frame rate and audio format so concat accepts it.
+    // Segments may carry `headHandle`/`tailHandle` seconds of extra material beyond
+    // their visible range, which transitions overlap into. Missing handle material
+    // is made up by holding the first or last frame.
+    buildTimelineFilter(segments, { canvas, fps, duration, transitions = [] }) {
+        const filters = [];
+        const parts = [];
+        let cursor = 0;
+
+        const addGap = (gapLength) => {
+            const index = parts.length;
+            const length = Number(gapLength.toFixed(3));
+            filters.push(`color=c=black:s=${canvas.width}x${canvas.height}:r=${fps}:d=${length},setsar=1,format=yuv420p[gapv${index}]`);
+            filters.push(`anullsrc=r=48000:cl=stereo,atrim=duration=${length}[gapa${index}]`);
+            parts.push({ video: `[gapv${index}]`, audio: `[gapa${index}]`, length });
+        };
+
+        const visibleLength = (segment) =>
+            Math.max(0, segment.duration - (segment.headHandle || 0) - (segment.tailHandle || 0));
+
+        // A transition only applies where its two segments meet with no gap between them
+        const transitionInto = segments.map((segment, index) => {
+            const previous = segments[index - 1];
+            if (!previous) return null;
 
-        // Complex filter with crossfade transitions
-        let videoFilter = '';
-        let audioFilter = '';
+            const transition = transitions.find(entry =>
+                entry.fromSegmentId === previous.id && entry.toSegmentId === segment.id);
+            const previousEnd = (previous.timelineStart || 0) + visibleLength(previous);
+            if (!transition || Math.abs((segment.timelineStart || 0) - previousEnd) > 0.05) return null;
 
-        for (let i = 0; i < segments.length - 1; i++) {
-            const duration = transitions[i]?.duration || 1;
-            const offset = segments[i].duration - duration;
+            const length = Math.min(transition.duration || 1, visibleLength(previous), visibleLength(segment));
+            return length > 0 ? { ...transition, duration: length } : null;
+        });
+
+        segments.forEach((segment, index) => {
+            const start = segment.timelineStart !== undefined ? segment.timelineStart : cursor;
+            if (start - cursor > 0.01) {
+                addGap(start - cursor);
+            }
+
+            const visible = visibleLength(segment);
+            const incoming = transitionInto[index];
+            const outgoing = transitionInto[index + 1];
+            const needHead = incoming ? incoming.duration / 2 : 0;
+            const needTail = outgoing ? outgoing.duration / 2 : 0;
+            const headHandle = segment.headHandle || 0;
+            const skipHead = Math.max(0, headHandle - needHead);
+            const holdHead = Math.max(0, needHead - headHandle);
+            const length = needHead + visible + needTail;
+            const reshaped = incoming || outgoing || headHandle > 0 || segment.tailHandle > 0;
+
+            const videoChain = [];
+            if (skipHead > 0) videoChain.push(`trim=start=${skipHead}`, 'setpts=PTS-STARTPTS');
+            videoChain.push(
+                ...this.buildFitFilters(canvas.width, canvas.height, segment.fit),
+                `pad=${canvas.width}:${canvas.height}:(ow-iw)/2:(oh-ih)/2:black`,
+                'setsar=1',
+                `fps=${fps}`,
+                'format=yuv420p'
+            );
+            const hold = [];
+            if (holdHead > 0) hold.push('start_mode=clone', `start_duration=${holdHead}`);
+            if (needTail > 0) hold.push('stop_mode=clone', `stop_duration=${needTail}`);
+            if (hold.length > 0) videoChain.push(`tpad=${hold.join(':')}`);
+            if (reshaped) videoChain.push(`trim=duration=${length}`);
+            filters.push(`[${index}:v]${videoChain.join(',')}[v${index}]`);
+
+            // Pad or cut audio to the segment's length so later parts stay in sync
+            let audioSource = 'anullsrc=r=48000:cl=stereo,';
+            if (segment.hasAudio) {
+                audioSource = `[${index}:a]` +
+                    (skipHead > 0 ? `atrim=start=${skipHead},asetpts=PTS-STARTPTS,` : '') +
+                    'aformat=sample_rates=48000:channel_layouts=stereo,' +
+                    (holdHead > 0 ? `adelay=${Math.round(holdHead * 1000)}:all=1,` : '') +
+                    'apad,';
+            }
+            filters.push(`${audioSource}atrim=duration=${length}[a${index}]`);
+
+            parts.push({ video: `[v${index}]`, audio: `[a${index}]`, length, transition: incoming });
+            cursor = start + visible;
+        });
+
+        if (duration - cursor > 0.01) {
+            addGap(duration - cursor);
+        }
 
-            if (i === 0) {
-                videoFilter += `[0:v][1:v]xfade=transition=fade:duration=${duration}:offset=${offset}[v${i}];`;
-                audioFilter += `[0:a][1:a]acrossfade=d=${duration}[a${i}];`;
+        // Parts between transitions are concatenated, then the groups are chained with xfade
+        const groups = [];
+        parts.forEach(part => {
+            if (part.transition || groups.length === 0) {
+                groups.push({ parts: [part], transition: part.transition });
             } else {
-                videoFilter += `[v${i-1}][${i+1}:v]xfade=transition=fade:duration=${duration}:offset=${offset}[v${i}];`;
-                audioFilter += `[a${i-1}][${i+1}:a]acrossfade=d=${duration}[a${i}];`;
+                groups[groups.length - 1].parts.push(part);
+            }
+        });
+
+        const joined = groups.map((group, index) => {
+            const length = group.parts.reduce((sum, part) => sum + part.length, 0);
+            if (groups.length === 1) {
+                filters.push(`${group.parts.map(part => part.video + part.audio).join('')}concat=n=${group.parts.length}:v=1:a=1[outv][outa]`);
+                return null;
+            }
+            if (group.parts.length === 1) {
+                return { video: group.parts[0].video, audio: group.parts[0].audio, length, transition: group.transition };
+            }
+            filters.push(`${group.parts.map(part => part.video + part.audio).join('')}concat=n=${group.parts.length}:v=1:a=1[gv${index}][ga${index}]`);
+            return { video: `[gv${index}]`, audio: `[ga${index}]`, length, transition: group.transition };
+        });
+
+        if (groups.length > 1) {
+            let chain = joined[0];
+            for (let i = 1; i < joined.length; i++) {
+                const next = joined[i];
+                const transition = next.transition;
+                const isLast = i === joined.length - 1;
+                const videoOut = isLast ? '[outv]' : `[xv${i}]`;
+                const audioOut = isLast ? '[outa]' : `[xa${i}]`;
+                const videoFilter = TransitionLibrary.buildVideoFilter(transition, chain.length - transition.duration);
+
+                // Custom expressions address planes directly, so run them without chroma subsampling
+                if (videoFilter.includes('transition=custom')) {
+                    filters.push(`${chain.video}format=yuv444p[xf${i}a]`, `${next.video}format=yuv444p[xf${i}b]`);
+                    filters.push(`[xf${i}a][xf${i}b]${videoFilter},format=yuv420p${videoOut}`);
+                } else {
+                    filters.push(`${chain.video}${next.video}${videoFilter}${videoOut}`);
+                }
+                filters.push(`${chain.audio}${next.audio}${TransitionLibrary.buildAudioFilter(transition)}${audioOut}`);
+
+                chain = { video: videoOut, audio: audioOut, length: chain.length + next.length - transition.duration };
             }
         }
 
-        const lastIndex = segments.length - 2;
-        return videoFilter + audioFilter + `[v${lastIndex}][a${lastIndex}]`;
+        return filters;
     }
 
-    // Get output settings based on quality requirements
-    getOutputSettings(settings) {
-        const quality = settings.quality || 'high';
-        const resolution = settings.resolution || '1080p';
-        const bitrate = settings.bitrate || 8;
-
-        const resolutionMap = {
-            '4K': '3840x2160',
-            '1080p': '1920x1080',
-            '720p': '1280x720',
-            '480p': '854x480'
-        };
+    // The reverse filters buffer every frame in memory, so long ranges are
+    // reversed in chunks sized to a fixed frame budget and joined back to front.
+    // Only one chunk is reversed at a time in the whole app, however many
+    // segment workers and jobs are running, so the budget is also the total.
+    async reverseRange(options) {
+        const { inputPath, sourceIn, sourceOut, segmentId, quality = 'high', lossless = false } = options;
+        const info = await MediaInfoService.getMediaInfo(inputPath);
+        const chunkSeconds = this.getReverseChunkSeconds(info);
+        const qualitySettings = FFmpegConfig.getQualityPresets()[quality === 'copy' ? 'high' : quality];
 
-        const qualitySettings = FFmpegConfig.getQualityPresets()[quality];
+        const chunkPaths = [];
+        const listPath = this.createTempPath(`reverse_${segmentId}`, 'txt');
+        const outputPath = this.createTempPath(`reversed_${segmentId}`, 'mp4');
 
-        const options = [
-            '-c:v', 'libx264',
-            '-c:a', 'aac',
-            '-b:a', '192k',
-            '-preset', qualitySettings.preset,
-            '-crf', qualitySettings.crf.toString(),
-            '-movflags', '+faststart',
-            '-pix_fmt', 'yuv420p'
-        ];
+        try {
+            // Walk backwards from the out point so chunks are already in playback order
+            for (let chunkEnd = sourceOut; chunkEnd > sourceIn + 0.001; chunkEnd -= chunkSeconds) {
+                const chunkStart = Math.max(sourceIn, chunkEnd - chunkSeconds);
+                const chunkPath = this.createTempPath(`reverse_${segmentId}_${chunkPaths.length}`, 'mp4');
+                chunkPaths.push(chunkPath);
+
+                const command = ffmpeg(inputPath)
+                    .seekInput(chunkStart)
+                    .inputOptions(['-t', String(chunkEnd - chunkStart)])
+                    .videoFilters('reverse');
+
+                if (lossless) {
+                    const intermediate = FFmpegConfig.getLosslessIntermediate();
+                    command.outputOptions(intermediate.video);
+                    if (info.hasAudio) command.audioFilters('areverse').outputOptions(intermediate.audio);
+                } else {
+                    command.videoCodec('libx264').outputOptions([
+                        `-crf ${qualitySettings.crf}`,
+                        `-preset ${qualitySettings.preset}`,
+                        '-pix_fmt yuv420p'
+                    ]);
+                    if (info.hasAudio) {
+                        command.audioFilters('areverse').audioCodec('aac').audioBitrate('192k');
+                    }
+                }
+
+                await VideoProcessor.runExclusiveReverse(() =>
+                    this.executeCommand(command.output(chunkPath), chunkPath, 'reverse', segmentId));
+            }
+
+            // Chunks share encoder settings, so the concat demuxer can join them without re-encoding
+            fs.writeFileSync(listPath, chunkPaths.map(chunk => `file '${chunk.replace(/'/g, "'\\''")}'`).join('\n'));
+            const concat = ffmpeg()
+                .input(listPath)
+                .inputOptions(['-f', 'concat', '-safe', '0'])
+                .outputOptions(['-c', 'copy'])
+                .output(outputPath);
 
-        if (resolutionMap[resolution]) {
-            options.push('-s', resolutionMap[resolution]);
+            await this.executeCommand(concat, outputPath, 'reverse', segmentId);
+            return outputPath;
+        } catch (err) {
+            this.removeTempFile(outputPath);
+            throw err;
+        } finally {
+            chunkPaths.forEach(chunk => this.removeTempFile(chunk));
+            this.removeTempFile(listPath);
         }
+    }
+
+    // Cut [sourceIn, sourceOut) by stream-copying every whole GOP inside it and
+    // re-encoding only the partial GOPs before the first and after the last keyframe.
+    // Parts are written as MPEG-TS so each carries its own parameter sets, then joined
+    // with the concat demuxer; audio is re-encoded over the full range to stay in sync.
+    // Resolves with null when the source can't be spliced and should be re-encoded.
+    async smartCut({ inputPath, sourceIn, sourceOut, segmentId, quality = 'high', outputPath }) {
+        const info = await MediaInfoService.getMediaInfo(inputPath);
+        const codec = info.video && FFmpegConfig.getSmartCutCodecs()[info.video.codec];
+        if (!codec || !FFmpegConfig.hasEncoder(codec.encoder)) return null;
+        const encoderOptions = FFmpegConfig.getSmartCutEncoderOptions(info.video);
+        if (!encoderOptions) return null;
+
+        const keyframes = await this.probeKeyframes(inputPath, sourceIn, sourceOut, info.startOffset);
+        const copyStart = keyframes.find(time => time >= sourceIn - 0.001);
+        const copyEnd = [...keyframes].reverse().find(time => time <= sourceOut + 0.001);
+
+        // Not worth splicing when there's hardly a whole GOP to copy
+        if (copyStart === undefined || copyEnd === undefined || copyEnd - copyStart < 1) return null;
+
+        const qualitySettings = FFmpegConfig.getQualityPresets()[quality === 'copy' ? 'high' : quality];
+        const duration = sourceOut - sourceIn;
+        const parts = [
+            { start: sourceIn, end: copyStart, copy: false },
+            { start: copyStart, end: copyEnd, copy: true },
+            { start: copyEnd, end: sourceOut, copy: false }
+        ].filter(part => part.end - part.start > 0.001);
+
+        // A stream-copy seek lands on the keyframe at or before its target, so the copied
+        // part aims half a frame inside its GOPs: rounding in the probed keyframe times
+        // can then never pull in the GOP before it, or the keyframe after it
+        const halfFrame = 0.5 / (info.video.fps || 30);
+
+        const partPaths = [];
+        const listPath = this.createTempPath(`smartcut_${segmentId}`, 'txt');
+
+        try {
+            for (const part of parts) {
+                const partPath = this.createTempPath(`smartcut_${segmentId}_${partPaths.length}`, 'ts');
+                partPaths.push(partPath);
+
+                const command = ffmpeg(inputPath)
+                    .seekInput(part.copy ? part.start + halfFrame : part.start)
+                    .inputOptions(['-t', String(part.copy ? part.end - part.start - halfFrame : part.end - part.start)])
+                    .noAudio();
+
+                if (part.copy) {
+                    command.videoCodec('copy').outputOptions(['-bsf:v', codec.bitstreamFilter]);
+                } else {
+                    command.videoCodec(codec.encoder).outputOptions([
+                        `-crf ${qualitySettings.crf}`,
+                        `-preset ${qualitySettings.preset}`,
+                        `-pix_fmt ${info.video.pixelFormat || 'yuv420p'}`,
+                        ...encoderOptions
+                    ]);
+                }
+
+                command.outputOptions(['-f', 'mpegts']).output(partPath);
+                await this.executeCommand(command, partPath, 'smart-cut', segmentId);
+            }
+
+            // Explicit durations keep the concat demuxer from guessing part lengths
+            fs.writeFileSync(listPath, parts.map((part, index) =>
+                `file '${partPaths[index].replace(/'/g, "'\\''")}'\nduration ${(part.end - part.start).toFixed(6)}`).join('\n'));
 
-        // Variable bitrate for better quality
-        options.push('-maxrate', `${bitrate * 1.5}M`);
-        options.push('-bufsize', `${bitrate * 2}M`);
+            const join = ffmpeg()
+                .input(listPath)
+                .inputOptions(['-f', 'concat', '-safe', '0'])
+                .input(inputPath)
+                .inputOptions(['-ss', String(sourceIn), '-t', String(duration)])
+                .outputOptions([
+                    '-map', '0:v',
+                    '-map', '1:a?',
+                    '-c:v', 'copy',
+                    '-tag:v', codec.tag,
+                    '-c:a', 'aac', '-b:a', '192k', '-ar', '48000', '-ac', '2',
+                    '-movflags', '+faststart'
+                ])
+                .output(outputPath);
 
-        return options;
+            await this.executeCommand(join, outputPath, 'trim', segmentId, duration);
+            return { success: true, outputPath, segmentId, duration, smartCut: true };
+        } finally {
+            partPaths.forEach(part => this.removeTempFile(part));
+            this.removeTempFile(listPath);
+        }
     }
 
-    // Execute FFmpeg command with progress tracking
-    executeCommand(command, outputPath, operation, segmentId = null) {
+    // Keyframe times in [sourceIn, sourceOut], in seconds from the start of the file.
+    // Reads packet flags only, so nothing is decoded.
+    probeKeyframes(inputPath, sourceIn, sourceOut, startOffset = 0) {
         return new Promise((resolve, reject) => {
-            command
-                .on('start', (cmdline) => {
-                    console.log(`${operation} started:`, cmdline);
-                    this.sendProgress(operation, 'started', { segmentId });
-                })
-                .on('progress', (progress) => {
-                    const percent = Math.max(0, Math.min(100, progress.percent || 0));
-                    this.sendProgress(operation, 'processing', {
-                        segmentId,
-                        percent,
-                        fps: progress.currentFps,
-                        speed: progress.speed
-                    });
-                })
-                .on('end', () => {
-                    this.sendProgress(operation, 'completed', { segmentId });
-                    resolve();
-                })
+            execFile(FFmpegConfig.getFfprobePath(), [
+                '-v', 'error',
+                '-select_streams', 'v:0',
+                '-read_intervals', `${startOffset + sourceIn}%${startOffset + sourceOut + 1}`,
+                '-show_entries', 'packet=pts_time,flags',
+                '-of', 'json',
+                inputPath
+            ], { maxBuffer: 64 * 1024 * 1024 }, (err, stdout) => {
+                if (err) return reject(err);
+
+                try {
+                    const packets = JSON.parse(stdout).packets || [];
+                    const keyframes = packets
+                        .filter(packet => (packet.flags || '').includes('K') && packet.pts_time !== undefined)
+                        .map(packet => parseFloat(packet.pts_time) - startOffset)
+                        .filter(time => time >= sourceIn - 0.001 && time <= sourceOut + 0.001)
+                        .sort((a, b) => a - b);
+                    resolve(keyframes);
+                } catch (parseError) {
+                    reject(parseError);
+                }
+            });
+        });
+    }
+
+    // Queue a reverse chunk behind the one running anywhere else
+    static runExclusiveReverse(task) {
+        const run = (VideoProcessor.reverseLock || Promise.resolve()).then(task);
+        VideoProcessor.reverseLock = run.catch(() => {});
+        return run;
+    }
+
+    // Seconds of decoded video that fit in the reverse buffer budget
+    getReverseChunkSeconds(info) {
+        const budgetBytes = 512 * 1024 * 1024;
+        const width = info.video?.width || 1920;
+        const height = info.video?.height || 1080;
+        const fps = info.video?.fps || 30;
+        const frameBytes = width * height * 1.5; // yuv420p
+
+        return Math.max(1, Math.floor(budgetBytes / (frameBytes * fps)));
+    }
+
+    // atempo changes tempo without touching pitch but only accepts 0.5-2.0 per instance
+    buildTempoFilters(speed) {
+        const filters = [];
+        let remaining = speed;
+
+        while (remaining > 2) {
+            filters.push('atempo=2.0');
+            remaining /= 2;
+        }
+        while (remaining < 0.5) {
+            filters.push('atempo=0.5');
+            remaining /= 0.5;
+        }
+        if (Math.abs(remaining - 1) > 0.0001) {
+            filters.push(`atempo=${remaining}`);
+        }
+
+        return filters;
+    }
+
+    // Filters for the drag-and-drop effects list
+    buildEffectFilters(effects) {
+        const filters = [];
+        if (!effects || effects.length === 0) return filters;
+
+        effects.forEach(effect => {
+            switch (effect.type) {
+                case 'reverse':
+                    // Rendered up front by reverseRange
+                    break;
+                case 'brightness':
+                    filters.push(`eq=brightness=${effect.parameters.value / 100}`);
+                    break;
+                case 'contrast':
+                    filters.push(`eq=contrast=${effect.parameters.value / 100}`);
+                    break;
+                case 'blur':
+                    filters.push(`boxblur=${effect.parameters.radius}:${effect.parameters.radius}`);
+                    break;
+                case 'fade-in':
+                    filters.push(`fade=in:${(effect.startTime || 0) * 30}:${effect.parameters.duration * 30}`);
+                    break;
+                case 'fade-out':
+                    filters.push(`fade=out:${(effect.startTime || 0) * 30}:${effect.parameters.duration * 30}`);
+                    break;
+            }
+        });
+
+        return filters;
+    }
+
+    // Filters for the inspector's blur/brightness/contrast sliders
+    buildVisualFilters(visualEffects = {}) {
+        const filters = [];
+        const brightness = visualEffects.brightness || 0;
+        const contrast = visualEffects.contrast !== undefined ? visualEffects.contrast : 100;
+
+        if (brightness !== 0 || contrast !== 100) {
+            filters.push(`eq=brightness=${brightness / 100}:contrast=${contrast / 100}`);
+        }
+        if (visualEffects.blur > 0) {
+            filters.push(`gblur=sigma=${visualEffects.blur}`);
+        }
+
+        return filters;
+    }
+
+    needsCompositing({ opacity = 100, transform }) {
+        if (opacity < 100) return true;
+        if (!transform) return false;
+        return (transform.x || 0) !== 0 ||
+            (transform.y || 0) !== 0 ||
+            (transform.rotation || 0) !== 0 ||
+            (transform.scale || 100) !== 100;
+    }
+
+    // Place the clip on a black canvas using its scale, position, rotation and opacity.
+    // The canvas is cut from the clip's own frames so it keeps the clip's timing.
+    buildCompositeGraph(videoFilters, { opacity = 100, transform, canvas, fit }) {
+        const pre = videoFilters.length > 0 ? `${videoFilters.join(',')},` : '';
+        const foreground = this.buildPlacementFilters({ opacity, transform, canvas, fit });
+
+        return [
+            `[0:v]${pre}split=2[src][canvas]`,
+            `[canvas]scale=${canvas.width}:${canvas.height},setsar=1,drawbox=c=black:t=fill[bg]`,
+            `[src]${foreground.join(',')}[fg]`,
+            `[bg][fg]overlay=${this.buildOverlayPosition(transform)},format=yuv420p[outv]`
+        ];
+    }
+
+    // Scale a frame into a width x height box:
+    //   fit     - whole frame visible, the box is letterboxed or pillarboxed (default)
+    //   fill    - cover the box and crop what sticks out, centred
+    //   stretch - exactly the box size, ignoring the source aspect ratio
+    // Only 'fit' can come out smaller than the box; callers pad or overlay it.
+    buildFitFilters(width, height, fit = 'fit') {
+        switch (fit) {
+            case 'fill':
+                return [
+                    `scale=w=${width}:h=${height}:force_original_aspect_ratio=increase`,
+                    `crop=${width}:${height}`
+                ];
+            case 'stretch':
+                return [`scale=${width}:${height}`];
+            default:
+                return [`scale=w=${width}:h=${height}:force_original_aspect_ratio=decrease`];
+        }
+    }
+
+    // Scale (fit mode into the canvas, then the clip's own scale), rotation and opacity, with alpha
+    buildPlacementFilters({ opacity = 100, transform, canvas, fit }) {
+        const { scale = 100, rotation = 0 } = transform || {};
+        const angle = (rotation * Math.PI / 180).toFixed(6);
+        const fitWidth = Math.max(2, Math.round(canvas.width * scale / 100));
+        const fitHeight = Math.max(2, Math.round(canvas.height * scale / 100));
+
+        const filters = [
+            ...this.buildFitFilters(fitWidth, fitHeight, fit),
+            'format=yuva420p'
+        ];
+        if (rotation !== 0) {
+            filters.push(`rotate=a=${angle}:ow=rotw(${angle}):oh=roth(${angle}):c=none`);
+        }
+        if (opacity < 100) {
+            filters.push(`colorchannelmixer=aa=${opacity / 100}`);
+        }
+
+        return filters;
+    }
+
+    // Overlay position: centred on the canvas, offset by the clip's x/y in pixels
+    buildOverlayPosition(transform) {
+        const { x = 0, y = 0 } = transform || {};
+        const signed = value => (value < 0 ? `-${-value}` : `+${value}`);
+        return `x=(W-w)/2${signed(x)}:y=(H-h)/2${signed(y)}`;
+    }
+
+    // Layer clips from the upper video tracks over the base video at their timeline
+    // positions. Lower tracks are drawn first so higher tracks end up on top.
+    async compositeLayers(options) {
+        const { inputPath, outputPath, overlayClips, settings = {}, duration = null } = options;
+        const canvas = FFmpegConfig.getCanvas(settings.resolution);
+        const layers = [...overlayClips].sort((a, b) =>
+            (a.trackIndex || 0) - (b.trackIndex || 0) || a.startTime - b.startTime);
+
+        const reversedFiles = [];
+        try {
+            const command = ffmpeg(inputPath);
+            const filters = [];
+            let previous = '0:v';
+
+            for (let i = 0; i < layers.length; i++) {
+                const clip = layers[i];
+                const effects = clip.effects || [];
+                let sourcePath = clip.mediaItem.filePath;
+                let sourceIn = clip.sourceIn;
+                const sourceDuration = clip.sourceOut - clip.sourceIn;
+
+                if (effects.some(effect => effect.type === 'reverse')) {
+                    sourcePath = await this.reverseRange({
+                        inputPath: sourcePath,
+                        sourceIn,
+                        sourceOut: clip.sourceOut,
+                        segmentId: clip.id,
+                        lossless: FFmpegConfig.needsFinalEncode(settings.format)
+                    });
+                    reversedFiles.push(sourcePath);
+                    sourceIn = 0;
+                }
+
+                command
+                    .input(sourcePath)
+                    .inputOptions(['-ss', String(sourceIn), '-t', String(sourceDuration)]);
+
+                const speed = clip.speed || 1;
+                const layerFilters = [
+                    'setpts=PTS-STARTPTS',
+                    ...(speed !== 1 ? [`setpts=PTS/${speed}`] : []),
+                    ...this.buildEffectFilters(effects),
+                    ...this.buildVisualFilters(clip.visualEffects),
+                    ...this.buildPlacementFilters({
+                        opacity: clip.opacity !== undefined ? clip.opacity : 100,
+                        transform: clip.transform,
+                        canvas,
+                        fit: clip.fit
+                    }),
+                    // Shift the layer to its place on the timeline
+                    `setpts=PTS+${clip.startTime}/TB`
+                ];
+                filters.push(`[${i + 1}:v]${layerFilters.join(',')}[layer${i}]`);
+
+                const label = `comp${i}`;
+                filters.push(`[${previous}][layer${i}]overlay=${this.buildOverlayPosition(clip.transform)}` +
+                    `:eof_action=pass:enable='between(t,${clip.startTime},${clip.endTime})'[${label}]`);
+                previous = label;
+            }
+
+            filters.push(`[${previous}]format=yuv420p[outv]`);
+
+            command
+                .complexFilter(filters, 'outv')
+                .outputOptions([
+                    '-map', '0:a?',
+                    ...this.getOutputSettings(settings),
+                    '-c:a', 'copy'
+                ])
+                .output(outputPath);
+
+            await this.executeCommand(command, outputPath, 'composite', null, duration);
+            return { success: true, outputPath };
+        } finally {
+            reversedFiles.forEach(file => this.removeTempFile(file));
+        }
+    }
+
+    // Settings for the files each export stage writes: the MP4 output at the chosen
+    // quality, or lossless when another format's encode follows. Frames are already
+    // framed to the canvas by the segment's fit mode, so no size is forced here.
+    getOutputSettings(settings) {
+        if (FFmpegConfig.needsFinalEncode(settings.format)) {
+            const intermediate = FFmpegConfig.getLosslessIntermediate();
+            return [...intermediate.video, ...intermediate.audio];
+        }
+
+        const profile = FFmpegConfig.getFormatProfile('mp4');
+
+        return [
+            ...profile.video(this.getEncoderQuality(settings)),
+            ...profile.audio,
+            ...profile.container
+        ];
+    }
+
+    getEncoderQuality(settings) {
+        const qualitySettings = FFmpegConfig.getQualityPresets()[settings.quality || 'high'];
+        return {
+            crf: qualitySettings.crf,
+            preset: qualitySettings.preset,
+            bitrate: settings.bitrate || 8
+        };
+    }
+
+    // Encode the finished timeline into the chosen container and codecs
+    async encodeOutput(options) {
+        const { inputPath, outputPath, settings = {}, duration = null } = options;
+        const profile = FFmpegConfig.getFormatProfile(settings.format);
+        const command = ffmpeg(inputPath);
+
+        if (profile.loop) {
+            // The longer side is capped so vertical and square canvases stay small too
+            const { fps, size } = profile.loop;
+            const scale = `fps=${fps},scale=w=${size}:h=${size}:force_original_aspect_ratio=decrease:flags=lanczos`;
+            if (profile.extension === 'gif') {
+                // One palette for the whole loop keeps GIF colours stable between frames
+                command.complexFilter([
+                    `[0:v]${scale},split[frames][sample]`,
+                    '[sample]palettegen=stats_mode=diff[palette]',
+                    '[frames][palette]paletteuse=dither=bayer:bayer_scale=5[outv]'
+                ], 'outv');
+            } else {
+                command.videoFilters(scale);
+            }
+        }
+
+        command
+            .outputOptions([
+                ...profile.video(this.getEncoderQuality(settings)),
+                ...profile.audio,
+                ...profile.container
+            ])
+            .output(outputPath);
+
+        await this.executeCommand(command, outputPath, 'encode', null, duration);
+        return { success: true, outputPath };
+    }
+
+    // Execute FFmpeg command with progress tracking
+    // Progress is measured from the output timestamp ffmpeg has reached against the
+    // expected output length; ffmpeg's own percent is missing or wrong for trimmed
+    // inputs and filter graphs
+    executeCommand(command, outputPath, operation, segmentId = null, expectedDuration = null) {
+        return new Promise((resolve, reject) => {
+            if (this.cancelled) {
+                return reject(new Error('Export cancelled'));
+            }
+
+            if (this.threads) {
+                command.outputOptions(['-threads', String(this.threads)]);
+            }
+
+            let startedAt = Date.now();
+            this.commands.add(command);
+            command
+                .on('start', (cmdline) => {
+                    // Steps that start while the job is paused wait with the rest
+                    if (this.suspended) command.kill('SIGSTOP');
+                    startedAt = Date.now();
+                    // stderr: headless renders keep stdout for progress and the result
+                    console.error(`${operation} started:`, cmdline);
+                    this.sendProgress(operation, 'started', { segmentId });
+                })
+                .on('progress', (progress) => {
+                    const time = VideoProcessor.parseTimemark(progress.timemark);
+                    const percent = expectedDuration > 0
+                        ? time / expectedDuration * 100
+                        : progress.percent || 0;
+                    const elapsed = (Date.now() - startedAt) / 1000;
+
+                    this.sendProgress(operation, 'processing', {
+                        segmentId,
+                        percent: Math.max(0, Math.min(100, percent)),
+                        time,
+                        fps: progress.currentFps,
+                        // Seconds of output written per second of wall time
+                        speed: elapsed > 0 ? time / elapsed : 0
+                    });
+                })
+                .on('end', () => {
+                    this.commands.delete(command);
+                    this.sendProgress(operation, 'completed', { segmentId });
+                    resolve();
+                })
                 .on('error', (err) => {
+                    this.commands.delete(command);
+                    if (this.cancelled) {
+                        return reject(new Error('Export cancelled'));
+                    }
                     console.error(`${operation} error:`, err);
                     this.sendProgress(operation, 'error', {
                         segmentId,
@@ -243,189 +1475,1944 @@ class VideoProcessor {
         });
     }
 
-    // Handle single segment copy
-    handleSingleSegment(inputPath, outputPath, resolve, reject) {
+    // "HH:MM:SS.xx" from ffmpeg's progress output, in seconds
+    static parseTimemark(timemark) {
+        const parts = String(timemark || '').split(':').map(Number);
+        if (parts.length !== 3 || parts.some(isNaN)) return 0;
+        return parts[0] * 3600 + parts[1] * 60 + parts[2];
+    }
+
+    // Handle single segment copy
+    handleSingleSegment(inputPath, outputPath, resolve, reject) {
+        try {
+            fs.copyFileSync(inputPath, outputPath);
+            fs.unlinkSync(inputPath);
+            resolve({ success: true, outputPath });
+        } catch (err) {
+            reject(err);
+        }
+    }
+
+    // Unique path for an intermediate file in the temp directory
+    createTempPath(prefix, extension) {
+        return path.join(this.tempDir, `${prefix}_${uuidv4()}.${extension}`);
+    }
+
+    removeTempFile(filePath) {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (err) {
+            console.error('Error removing temp file:', err);
+        }
+    }
+
+    // Clean up temporary segment files
+    cleanupSegments(segments) {
+        segments.forEach(segment => {
+            try {
+                if (fs.existsSync(segment.path)) {
+                    fs.unlinkSync(segment.path);
+                }
+            } catch (err) {
+                console.error('Error cleaning up segment:', err);
+            }
+        });
+    }
+
+    // Kill every running ffmpeg process; anything started afterwards fails straight away
+    cancel() {
+        this.cancelled = true;
+        this.commands.forEach(command => command.kill('SIGKILL'));
+    }
+
+    // Stop everything because one step failed; unlike cancel() the export ends as failed
+    abort(error) {
+        this.failure = error;
+        this.cancel();
+    }
+
+    // Suspend or continue the running ffmpeg processes (not available on Windows)
+    suspend() {
+        this.suspended = true;
+        this.commands.forEach(command => command.kill('SIGSTOP'));
+    }
+
+    resume() {
+        this.suspended = false;
+        this.commands.forEach(command => command.kill('SIGCONT'));
+    }
+
+    // Send progress updates to renderer, and to the export job that owns this processor
+    sendProgress(operation, stage, data = {}) {
+        if (this.onProgress) {
+            this.onProgress({ operation, stage, ...data });
+        }
+        if (mainWindow && mainWindow.webContents) {
+            mainWindow.webContents.send('operation-progress', {
+                operation,
+                stage,
+                jobId: this.jobId,
+                timestamp: Date.now(),
+                ...data
+            });
+        }
+    }
+
+    // Cleanup temp directory
+    cleanup() {
+        try {
+            if (fs.existsSync(this.tempDir)) {
+                fs.rmSync(this.tempDir, { recursive: true, force: true });
+            }
+        } catch (err) {
+            console.error("Error cleaning temp directory:", err);
+        }
+    }
+}
+
+// Audio Processing Service
+class AudioProcessor {
+    constructor(videoProcessor) {
+        this.videoProcessor = videoProcessor;
+    }
+
+    async extractAudio(options) {
+        const { inputPath, outputPath, format = 'mp3', quality = 'high' } = options;
+
+        return new Promise((resolve, reject) => {
+            const command = ffmpeg(inputPath).noVideo();
+
+            // Audio quality settings
+            const audioSettings = {
+                'high': { bitrate: '320k', sampleRate: '48000' },
+                'medium': { bitrate: '192k', sampleRate: '44100' },
+                'low': { bitrate: '128k', sampleRate: '44100' }
+            };
+
+            const settings = audioSettings[quality] || audioSettings.medium;
+
+            if (format === 'wav') {
+                command.audioCodec('pcm_s16le');
+            } else {
+                command
+                    .audioCodec(format === 'aac' ? 'aac' : 'mp3')
+                    .audioBitrate(settings.bitrate)
+                    .audioFrequency(settings.sampleRate);
+            }
+
+            this.videoProcessor.executeCommand(command, outputPath, 'extract-audio')
+                .then(() => resolve({ success: true, outputPath }))
+                .catch(reject);
+        });
+    }
+
+    async replaceAudio(options) {
+        const { videoPath, audioPath, outputPath, mode = 'replace' } = options;
+
+        return new Promise((resolve, reject) => {
+            const command = ffmpeg()
+                .input(videoPath)
+                .input(audioPath);
+
+            if (mode === 'replace') {
+                command.outputOptions([
+                    '-c:v', 'copy',
+                    '-c:a', 'aac',
+                    '-b:a', '192k',
+                    '-map', '0:v:0',
+                    '-map', '1:a:0',
+                    '-shortest'
+                ]);
+            } else if (mode === 'mix') {
+                command
+                    .complexFilter('[0:a][1:a]amix=inputs=2:duration=first:dropout_transition=3[aout]')
+                    .outputOptions([
+                        '-c:v', 'copy',
+                        '-map', '0:v:0',
+                        '-map', '[aout]'
+                    ]);
+            }
+
+            this.videoProcessor.executeCommand(command, outputPath, 'replace-audio')
+                .then(() => resolve({ success: true, outputPath }))
+                .catch(reject);
+        });
+    }
+}
+
+// Text Overlay Service
+class TextOverlayProcessor {
+    constructor(videoProcessor) {
+        this.videoProcessor = videoProcessor;
+    }
+
+    // Font sizes are authored against a 1080p frame and scaled to the output height
+    static getTemplateStyles() {
+        return {
+            'title': {
+                fontSize: 48,
+                fontFamily: 'Sans',
+                anchor: 'center',
+                shadow: { x: 3, y: 3, color: 'black@0.6' },
+                fadeIn: 0.5,
+                fadeOut: 0.5
+            },
+            'subtitle': {
+                fontSize: 32,
+                fontFamily: 'Sans',
+                anchor: 'center',
+                outline: { width: 2, color: 'black' },
+                fadeIn: 0.2,
+                fadeOut: 0.2
+            },
+            'lower-third': {
+                fontSize: 24,
+                fontFamily: 'Sans',
+                anchor: 'left',
+                box: { color: 'black@0.55', padding: 12 },
+                fadeIn: 0.3,
+                fadeOut: 0.3
+            }
+        };
+    }
+
+    // Burn text clips into the video at their timeline positions
+    async renderOverlays(options) {
+        const { inputPath, outputPath, textClips, settings = {}, duration = null } = options;
+        const textFiles = [];
+
+        try {
+            const filters = textClips
+                .filter(clip => clip.textContent && clip.textContent.text)
+                .map(clip => {
+                    // Text goes through a file so drawtext never has to escape user input
+                    const textFile = this.videoProcessor.createTempPath('text', 'txt');
+                    fs.writeFileSync(textFile, clip.textContent.text, 'utf8');
+                    textFiles.push(textFile);
+                    return this.buildDrawText(clip, textFile);
+                });
+
+            if (filters.length === 0) {
+                fs.copyFileSync(inputPath, outputPath);
+                return { success: true, outputPath };
+            }
+
+            const command = ffmpeg(inputPath)
+                .videoFilters(filters)
+                .outputOptions([
+                    ...this.videoProcessor.getOutputSettings(settings),
+                    '-c:a', 'copy'
+                ]);
+
+            await this.videoProcessor.executeCommand(command.output(outputPath), outputPath, 'text-overlay', null, duration);
+            return { success: true, outputPath };
+        } finally {
+            textFiles.forEach(file => this.videoProcessor.removeTempFile(file));
+        }
+    }
+
+    buildDrawText(clip, textFile) {
+        const content = clip.textContent;
+        const style = {
+            ...(TextOverlayProcessor.getTemplateStyles()[content.template] || TextOverlayProcessor.getTemplateStyles().title),
+            ...content.style
+        };
+
+        const start = clip.startTime;
+        const end = clip.endTime;
+        const fontSize = content.fontSize || style.fontSize;
+        const position = content.position || { x: 50, y: 50 };
+        const x = style.anchor === 'left'
+            ? `w*${position.x / 100}`
+            : `w*${position.x / 100}-text_w/2`;
+        const y = `h*${position.y / 100}-text_h/2`;
+
+        const options = [
+            `textfile='${TextOverlayProcessor.escapeFilterPath(textFile)}'`,
+            'expansion=none',
+            content.fontFile
+                ? `fontfile='${TextOverlayProcessor.escapeFilterPath(content.fontFile)}'`
+                : `font='${content.fontFamily || style.fontFamily}'`,
+            `fontsize=${fontSize}*h/1080`,
+            `fontcolor=${content.color || '#ffffff'}`,
+            `x=${x}`,
+            `y=${y}`,
+            `enable='between(t,${start},${end})'`
+        ];
+
+        const outline = content.plain ? null : (content.outline || style.outline);
+        if (outline && outline.width > 0) {
+            options.push(`borderw=${outline.width}`, `bordercolor=${outline.color || 'black'}`);
+        }
+
+        const shadow = content.plain ? null : (content.shadow || style.shadow);
+        if (shadow) {
+            options.push(`shadowx=${shadow.x}`, `shadowy=${shadow.y}`, `shadowcolor=${shadow.color || 'black'}`);
+        }
+
+        if (style.box) {
+            options.push('box=1', `boxcolor=${style.box.color}`, `boxborderw=${style.box.padding}`);
+        }
+
+        const alpha = TextOverlayProcessor.buildFadeExpression(
+            start,
+            end,
+            content.fadeIn !== undefined ? content.fadeIn : style.fadeIn,
+            content.fadeOut !== undefined ? content.fadeOut : style.fadeOut
+        );
+        if (alpha) {
+            options.push(`alpha='${alpha}'`);
+        }
+
+        return `drawtext=${options.join(':')}`;
+    }
+
+    // Alpha ramp for fade in/out, clamped so short clips never exceed full opacity
+    static buildFadeExpression(start, end, fadeIn = 0, fadeOut = 0) {
+        const duration = end - start;
+        const fi = Math.min(fadeIn || 0, duration / 2);
+        const fo = Math.min(fadeOut || 0, duration / 2);
+        if (fi <= 0 && fo <= 0) return null;
+
+        const fadeInExpr = fi > 0 ? `(t-${start})/${fi}` : '1';
+        const fadeOutExpr = fo > 0 ? `(${end}-t)/${fo}` : '1';
+        return `min(1,min(${fadeInExpr},${fadeOutExpr}))`;
+    }
+
+    // drawtext paths need forward slashes and escaped drive colons. Nothing can be
+    // escaped inside the single quotes, so a quote closes them, adds the quote escaped
+    // for both the graph and the option parser (\\\'), and reopens them.
+    static escapeFilterPath(filePath) {
+        return filePath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "'\\\\\\''");
+    }
+}
+
+// Transition Library
+class TransitionLibrary {
+    // Each type maps to a native xfade transition for linear timing and to a custom
+    // expression of the eased progress `q` (0 -> 1) for the other easing curves.
+    // Custom expressions run on yuv444p frames so every plane has the full size.
+    static getTransitions() {
+        const a = (x, y) => `if(eq(PLANE,0),a0(${x},${y}),if(eq(PLANE,1),a1(${x},${y}),a2(${x},${y})))`;
+        const b = (x, y) => `if(eq(PLANE,0),b0(${x},${y}),if(eq(PLANE,1),b1(${x},${y}),b2(${x},${y})))`;
+        const through = (level) => (q) =>
+            `if(lt(${q},0.5),A*(1-2*${q})+${level}*2*${q},${level}*(2-2*${q})+B*(2*${q}-1))`;
+        const radius = 'hypot(W/2,H/2)';
+        const distance = 'hypot(X-W/2,Y-H/2)';
+
+        return {
+            'fade': { label: 'Crossfade', xfade: 'fade', expr: q => `A*(1-${q})+B*${q}` },
+            'dissolve': {
+                label: 'Dissolve',
+                xfade: 'dissolve',
+                expr: q => `if(gt(${q},mod(abs(sin(X*12.9898+Y*78.233))*43758.5453,1)),B,A)`
+            },
+            'fadeblack': { label: 'Dip to Black', xfade: 'fadeblack', expr: through('if(eq(PLANE,0),16,128)') },
+            'fadewhite': { label: 'Dip to White', xfade: 'fadewhite', expr: through('if(eq(PLANE,0),235,128)') },
+            'wipeleft': { label: 'Wipe Left', xfade: 'wipeleft', expr: q => `if(gt(X,W*(1-${q})),B,A)` },
+            'wiperight': { label: 'Wipe Right', xfade: 'wiperight', expr: q => `if(lt(X,W*${q}),B,A)` },
+            'wipeup': { label: 'Wipe Up', xfade: 'wipeup', expr: q => `if(gt(Y,H*(1-${q})),B,A)` },
+            'wipedown': { label: 'Wipe Down', xfade: 'wipedown', expr: q => `if(lt(Y,H*${q}),B,A)` },
+            'slideleft': {
+                label: 'Slide Left',
+                xfade: 'slideleft',
+                expr: q => `if(lt(X+W*${q},W),${a(`X+W*${q}`, 'Y')},${b(`X+W*${q}-W`, 'Y')})`
+            },
+            'slideright': {
+                label: 'Slide Right',
+                xfade: 'slideright',
+                expr: q => `if(gte(X-W*${q},0),${a(`X-W*${q}`, 'Y')},${b(`X-W*${q}+W`, 'Y')})`
+            },
+            'slideup': {
+                label: 'Slide Up',
+                xfade: 'slideup',
+                expr: q => `if(lt(Y+H*${q},H),${a('X', `Y+H*${q}`)},${b('X', `Y+H*${q}-H`)})`
+            },
+            'slidedown': {
+                label: 'Slide Down',
+                xfade: 'slidedown',
+                expr: q => `if(gte(Y-H*${q},0),${a('X', `Y-H*${q}`)},${b('X', `Y-H*${q}+H`)})`
+            },
+            'circleopen': { label: 'Circle Open', xfade: 'circleopen', expr: q => `if(lte(${distance},${radius}*${q}),B,A)` },
+            'circleclose': { label: 'Circle Close', xfade: 'circleclose', expr: q => `if(lte(${distance},${radius}*(1-${q})),A,B)` },
+            'zoomin': {
+                label: 'Zoom In',
+                xfade: 'zoomin',
+                expr: q => `${a(`W/2+(X-W/2)/(1+${q})`, `H/2+(Y-H/2)/(1+${q})`)}*(1-${q})+B*${q}`
+            }
+        };
+    }
+
+    // xfade's P runs from 1 to 0, so progress is measured as 1-P
+    static getEasings() {
+        return {
+            'linear': '(1-P)',
+            'ease-in': '((1-P)*(1-P))',
+            'ease-out': '((1-P)*(1+P))',
+            'ease-in-out': '((1-P)*(1-P)*(1+2*P))'
+        };
+    }
+
+    // Video filter joining two streams of the same size. `offset` is where the
+    // transition starts in the first stream.
+    static buildVideoFilter(transition, offset) {
+        const type = TransitionLibrary.getTransitions()[transition.type] || TransitionLibrary.getTransitions().fade;
+        const easing = TransitionLibrary.getEasings()[transition.easing] || TransitionLibrary.getEasings().linear;
+
+        if (!transition.easing || transition.easing === 'linear') {
+            return `xfade=transition=${type.xfade}:duration=${transition.duration}:offset=${offset}`;
+        }
+        return `xfade=transition=custom:duration=${transition.duration}:offset=${offset}:expr='${type.expr(easing)}'`;
+    }
+
+    // Equal-power curves sound smoother than linear ones for eased transitions
+    static buildAudioFilter(transition) {
+        const curve = !transition.easing || transition.easing === 'linear' ? 'tri' : 'qsin';
+        return `acrossfade=d=${transition.duration}:c1=${curve}:c2=${curve}`;
+    }
+}
+
+// Media Information Service
+class MediaInfoService {
+    static async getMediaInfo(filePath) {
+        return new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(filePath, (err, metadata) => {
+                if (err) return reject(err);
+
+                const videoStream = metadata.streams.find(s => s.codec_type === "video");
+                const audioStream = metadata.streams.find(s => s.codec_type === "audio");
+
+                let fps = 30;
+                if (videoStream?.r_frame_rate) {
+                    const [num, den] = videoStream.r_frame_rate.split('/').map(Number);
+                    fps = num / den;
+                }
+
+                resolve({
+                    id: uuidv4(),
+                    filePath,
+                    fileName: path.basename(filePath),
+                    fileSize: metadata.format.size || 0,
+                    duration: parseFloat(metadata.format.duration) || 0,
+                    // Timestamp of the first frame; seeks are relative to it
+                    startOffset: parseFloat(metadata.format.start_time) || 0,
+                    bitrate: parseInt(metadata.format.bit_rate) || 0,
+                    hasVideo: !!videoStream,
+                    hasAudio: !!audioStream,
+                    video: videoStream ? {
+                        width: videoStream.width,
+                        height: videoStream.height,
+                        fps: Math.round(fps),
+                        codec: videoStream.codec_name,
+                        profile: videoStream.profile || null,
+                        level: parseInt(videoStream.level) || 0,
+                        refs: parseInt(videoStream.refs) || 0,
+                        bitrate: parseInt(videoStream.bit_rate) || 0,
+                        pixelFormat: videoStream.pix_fmt
+                    } : null,
+                    audio: audioStream ? {
+                        codec: audioStream.codec_name,
+                        sampleRate: parseInt(audioStream.sample_rate) || 44100,
+                        channels: audioStream.channels || 2,
+                        bitrate: parseInt(audioStream.bit_rate) || 0
+                    } : null,
+                    metadata: {
+                        format: metadata.format.format_name,
+                        duration: metadata.format.duration,
+                        tags: metadata.format.tags || {}
+                    }
+                });
+            });
+        });
+    }
+
+    // Fingerprint of a media file from its size plus the first and last megabyte.
+    // Cheap enough for multi-gigabyte sources and unaffected by moves or renames.
+    // Remembered per path until the file's size or modification time changes.
+    static async getContentHash(filePath) {
+        const sampleSize = 1024 * 1024;
+        const { size, mtimeMs } = await fs.promises.stat(filePath);
+        const memoKey = `${filePath}:${size}:${mtimeMs}`;
+
+        if (!MediaInfoService.hashCache) MediaInfoService.hashCache = new Map();
+        if (MediaInfoService.hashCache.has(memoKey)) return MediaInfoService.hashCache.get(memoKey);
+
+        const handle = await fs.promises.open(filePath, 'r');
+
+        try {
+            const hash = crypto.createHash('sha256').update(String(size));
+
+            const head = Buffer.alloc(Math.min(sampleSize, size));
+            await handle.read(head, 0, head.length, 0);
+            hash.update(head);
+
+            if (size > sampleSize) {
+                const tail = Buffer.alloc(Math.min(sampleSize, size - sampleSize));
+                await handle.read(tail, 0, tail.length, size - tail.length);
+                hash.update(tail);
+            }
+
+            const digest = hash.digest('hex');
+            MediaInfoService.hashCache.set(memoKey, digest);
+            return digest;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    static async generateThumbnail(options) {
+        const { inputPath, timestamp = 1, outputPath, size = '320x240' } = options;
+
+        return new Promise((resolve, reject) => {
+            const thumbPath = outputPath || path.join(videoProcessor.tempDir, `thumb_${Date.now()}.jpg`);
+
+            ffmpeg(inputPath)
+                .seekInput(timestamp)
+                .frames(1)
+                .size(size)
+                .outputOptions(['-q:v', '2']) // High quality JPEG
+                .output(thumbPath)
+                .on('end', () => resolve({ success: true, thumbnailPath: thumbPath }))
+                .on('error', reject)
+                .run();
+        });
+    }
+}
+
+// Waveform Service
+class WaveformService {
+    constructor(cacheDir) {
+        this.cacheDir = cacheDir;
+        this.pending = new Map();
+        fs.mkdirSync(cacheDir, { recursive: true });
+    }
+
+    // Peaks are stored at a fixed rate; the timeline picks out the ones it needs
+    // for each clip's source range and the current zoom level
+    static getPeaksPerSecond() {
+        return 100;
+    }
+
+    // Cached by content hash, so renamed or moved files reuse their peaks
+    async getPeaks(filePath) {
+        const peaksPerSecond = WaveformService.getPeaksPerSecond();
+        const hash = await MediaInfoService.getContentHash(filePath);
+        const cachePath = path.join(this.cacheDir, `${hash}_${peaksPerSecond}.peaks`);
+
+        if (fs.existsSync(cachePath)) {
+            return { peaksPerSecond, peaks: await fs.promises.readFile(cachePath) };
+        }
+
+        // Requests for the same file while it is decoding share one ffmpeg run
+        if (!this.pending.has(cachePath)) {
+            this.pending.set(cachePath, this.computePeaks(filePath)
+                .then(async peaks => {
+                    // Written under a temp name so a quit mid-write never leaves truncated peaks
+                    const tempPath = `${cachePath}.${uuidv4()}.part`;
+                    try {
+                        await fs.promises.writeFile(tempPath, peaks);
+                        await fs.promises.rename(tempPath, cachePath);
+                    } catch (err) {
+                        await fs.promises.rm(tempPath, { force: true });
+                        throw err;
+                    }
+                    return peaks;
+                })
+                .finally(() => this.pending.delete(cachePath)));
+        }
+
+        return { peaksPerSecond, peaks: await this.pending.get(cachePath) };
+    }
+
+    clear() {
+        return clearCacheDirectory(this.cacheDir);
+    }
+
+    // Decode to 8 kHz mono and keep the loudest sample of each bucket, scaled to 0-255
+    computePeaks(filePath) {
+        const sampleRate = 8000;
+        const samplesPerPeak = sampleRate / WaveformService.getPeaksPerSecond();
+
+        return new Promise((resolve, reject) => {
+            const peaks = [];
+            let loudest = 0;
+            let count = 0;
+            let leftover = null;
+
+            const stream = ffmpeg(filePath)
+                .noVideo()
+                .audioChannels(1)
+                .audioFrequency(sampleRate)
+                .format('s16le')
+                .on('error', reject)
+                .pipe();
+
+            stream.on('data', chunk => {
+                // Samples can straddle chunk boundaries
+                const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+                const usable = data.length - (data.length % 2);
+                leftover = usable < data.length ? data.subarray(usable) : null;
+
+                for (let offset = 0; offset < usable; offset += 2) {
+                    loudest = Math.max(loudest, Math.abs(data.readInt16LE(offset)));
+                    if (++count === samplesPerPeak) {
+                        peaks.push(Math.min(255, loudest >> 7));
+                        loudest = 0;
+                        count = 0;
+                    }
+                }
+            });
+
+            stream.on('end', () => {
+                if (count > 0) peaks.push(Math.min(255, loudest >> 7));
+                resolve(Buffer.from(peaks));
+            });
+        });
+    }
+}
+
+// Thumbnail Service
+class ThumbnailService {
+    constructor(cacheDir, concurrency = 2) {
+        this.cacheDir = cacheDir;
+        this.concurrency = concurrency;
+        this.running = 0;
+        this.queue = [];
+        this.pending = new Map();
+        fs.mkdirSync(cacheDir, { recursive: true });
+    }
+
+    // Frames are cached on disk by content hash, timestamp and height, so they
+    // survive restarts and are shared by every clip cut from the same file
+    async getThumbnail({ filePath, timestamp = 0, height = 90 }) {
+        const hash = await MediaInfoService.getContentHash(filePath);
+        const time = Math.max(0, Number(timestamp) || 0).toFixed(2);
+        const cachePath = path.join(this.cacheDir, `${hash}_${time}_${height}.jpg`);
+
+        if (fs.existsSync(cachePath)) {
+            return { success: true, thumbnailPath: cachePath };
+        }
+
+        if (!this.pending.has(cachePath)) {
+            this.pending.set(cachePath, this.schedule(() => this.renderFrame(filePath, time, height, cachePath))
+                .finally(() => this.pending.delete(cachePath)));
+        }
+
+        await this.pending.get(cachePath);
+        return { success: true, thumbnailPath: cachePath };
+    }
+
+    renderFrame(filePath, timestamp, height, outputPath) {
+        // Render to a temp name so an interrupted run never leaves a broken frame in the cache
+        const tempPath = `${outputPath}.${uuidv4()}.jpg`;
+
+        return new Promise((resolve, reject) => {
+            ffmpeg(filePath)
+                .seekInput(timestamp)
+                .frames(1)
+                .videoFilters(`scale=-2:${height}`)
+                .outputOptions(['-q:v', '4'])
+                .output(tempPath)
+                .on('end', () => {
+                    if (!fs.existsSync(tempPath)) {
+                        return reject(new Error(`No frame at ${timestamp}s in ${filePath}`));
+                    }
+                    // The cache folder can be cleared or locked while the frame renders
+                    try {
+                        fs.renameSync(tempPath, outputPath);
+                    } catch (err) {
+                        fs.rmSync(tempPath, { force: true });
+                        return reject(err);
+                    }
+                    resolve();
+                })
+                .on('error', (err) => {
+                    if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+                    reject(err);
+                })
+                .run();
+        });
+    }
+
+    // Frames are generated in the background, a few ffmpeg processes at a time
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    drain() {
+        while (this.running < this.concurrency && this.queue.length > 0) {
+            const { task, resolve, reject } = this.queue.shift();
+            this.running++;
+            task()
+                .then(resolve, reject)
+                .finally(() => {
+                    this.running--;
+                    this.drain();
+                });
+        }
+    }
+
+    clear() {
+        return clearCacheDirectory(this.cacheDir);
+    }
+}
+
+// Proxy Service
+class ProxyService {
+    constructor(cacheDir) {
+        this.cacheDir = cacheDir;
+        this.queue = [];
+        this.running = false;
+        this.current = null;
+        this.pending = new Map();
+        fs.mkdirSync(cacheDir, { recursive: true });
+    }
+
+    static getProxyHeight() {
+        return 540;
+    }
+
+    // Only sources that are expensive to decode get a proxy; everything else previews fine as is
+    static needsProxy(mediaItem) {
+        const video = mediaItem.video;
+        if (!video) return false;
+        return video.height > 1080 ||
+            mediaItem.bitrate > 25000000 ||
+            ['hevc', 'prores', 'dnxhd', 'mpeg2video'].includes(video.codec);
+    }
+
+    // Proxies are cached by content hash, so re-importing a file reuses its proxy
+    async getProxy(mediaItem) {
+        // Without libx264 there's no proxy to make; the preview reads the original
+        if (!ProxyService.needsProxy(mediaItem) || !FFmpegConfig.hasEncoder('libx264')) {
+            return { success: true, proxyPath: null };
+        }
+
+        const hash = await MediaInfoService.getContentHash(mediaItem.filePath);
+        const proxyPath = path.join(this.cacheDir, `${hash}_${ProxyService.getProxyHeight()}p.mp4`);
+
+        if (fs.existsSync(proxyPath)) {
+            return { success: true, proxyPath };
+        }
+
+        if (!this.pending.has(proxyPath)) {
+            this.pending.set(proxyPath, this.schedule(() => this.transcode(mediaItem, proxyPath))
+                .finally(() => this.pending.delete(proxyPath)));
+        }
+
+        await this.pending.get(proxyPath);
+        return { success: true, proxyPath };
+    }
+
+    transcode(mediaItem, proxyPath) {
+        const tempPath = `${proxyPath}.${uuidv4()}.mp4`;
+        const height = ProxyService.getProxyHeight();
+
+        return new Promise((resolve, reject) => {
+            this.sendProgress(mediaItem.id, 'started', 0);
+
+            // Short GOPs keep scrubbing responsive; quality only has to be good enough to edit with
+            this.current = ffmpeg(mediaItem.filePath)
+                .videoFilters(`scale=-2:'min(${height},ih)'`)
+                .outputOptions([
+                    '-c:v', 'libx264',
+                    '-preset', 'veryfast',
+                    '-crf', '26',
+                    '-g', '15',
+                    '-pix_fmt', 'yuv420p',
+                    '-c:a', 'aac',
+                    '-b:a', '128k',
+                    '-movflags', '+faststart'
+                ])
+                .output(tempPath)
+                .on('progress', (progress) => {
+                    this.sendProgress(mediaItem.id, 'processing', Math.round(progress.percent || 0));
+                })
+                .on('end', () => {
+                    this.current = null;
+                    // The cache folder can be cleared or locked while the transcode runs
+                    try {
+                        fs.renameSync(tempPath, proxyPath);
+                    } catch (err) {
+                        if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+                        this.sendProgress(mediaItem.id, 'error', 0, err.message);
+                        return reject(err);
+                    }
+                    this.sendProgress(mediaItem.id, 'completed', 100);
+                    resolve();
+                })
+                .on('error', (err) => {
+                    this.current = null;
+                    if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+                    this.sendProgress(mediaItem.id, 'error', 0, err.message);
+                    reject(err);
+                });
+
+            this.current.run();
+        });
+    }
+
+    sendProgress(mediaId, stage, percent, error) {
+        if (videoProcessor) {
+            videoProcessor.sendProgress('proxy', stage, { mediaId, percent, error });
+        }
+    }
+
+    // Proxies are transcoded one at a time so they don't starve preview and export
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    drain() {
+        if (this.running || this.queue.length === 0) return;
+
+        const { task, resolve, reject } = this.queue.shift();
+        this.running = true;
+        task()
+            .then(resolve, reject)
+            .finally(() => {
+                this.running = false;
+                this.drain();
+            });
+    }
+
+    // Cancel queued and running transcodes before removing the files
+    clear() {
+        this.queue.splice(0).forEach(({ reject }) => reject(new Error('Proxy generation cancelled')));
+        if (this.current) this.current.kill('SIGKILL');
+        return clearCacheDirectory(this.cacheDir);
+    }
+}
+
+// Render Cache Service
+// Rendered segments keyed by everything that goes into them, so a re-export only
+// renders what changed. Least recently used renders are evicted over the size limit;
+// file modification times keep the usage order across sessions.
+class RenderCache {
+    constructor(cacheDir, maxBytes = RenderCache.getDefaultLimit()) {
+        this.cacheDir = cacheDir;
+        this.maxBytes = maxBytes;
+        fs.mkdirSync(cacheDir, { recursive: true });
+
+        // key -> { path, size, smartCut }, least recently used first
+        this.entries = new Map();
+        const found = [];
+        fs.readdirSync(cacheDir).forEach(name => {
+            const filePath = path.join(cacheDir, name);
+            const match = /^([0-9a-f]{64})(\.smart)?\.mp4$/.exec(name);
+            const stat = fs.statSync(filePath);
+            if (!match) {
+                // Partial copies left by an interrupted store. Recent ones may belong
+                // to another instance (a headless render next to the editor) still writing.
+                if (Date.now() - stat.mtimeMs > RenderCache.getStalePartialAge()) {
+                    fs.rmSync(filePath, { recursive: true, force: true });
+                }
+                return;
+            }
+            found.push({ key: match[1], usedAt: stat.mtimeMs, path: filePath, size: stat.size, smartCut: !!match[2] });
+        });
+        found.sort((a, b) => a.usedAt - b.usedAt)
+            .forEach(({ key, usedAt, ...entry }) => this.entries.set(key, entry));
+    }
+
+    static getDefaultLimit() {
+        return 10 * 1024 * 1024 * 1024;
+    }
+
+    static getStalePartialAge() {
+        return 24 * 60 * 60 * 1000;
+    }
+
+    // Bump when segment rendering changes, so renders from older versions aren't reused
+    static getVersion() {
+        return 2;
+    }
+
+    // Source content plus every trim option except the segment's id. The content
+    // hash only samples the file, so its modification time is part of the key too.
+    async getKey(options) {
+        const { inputPath, segmentId, ...settings } = options;
+        const [sourceHash, { mtimeMs: sourceModified }] = await Promise.all([
+            MediaInfoService.getContentHash(inputPath),
+            fs.promises.stat(inputPath)
+        ]);
+        return crypto.createHash('sha256')
+            .update(RenderCache.stableStringify({ version: RenderCache.getVersion(), sourceHash, sourceModified, settings }))
+            .digest('hex');
+    }
+
+    // JSON with object keys sorted, so equal settings always give the same key
+    static stableStringify(value) {
+        if (Array.isArray(value)) return `[${value.map(item => RenderCache.stableStringify(item)).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${RenderCache.stableStringify(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    // Put a cached render at targetPath; resolves with the entry, or null on a miss
+    async restore(key, targetPath) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        try {
+            await linkOrCopyFile(entry.path, targetPath);
+        } catch (err) {
+            // Removed behind our back; render it again
+            this.entries.delete(key);
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        const now = new Date();
+        fs.promises.utimes(entry.path, now, now).catch(() => {});
+        return entry;
+    }
+
+    async store(key, sourcePath, smartCut) {
+        const cachePath = path.join(this.cacheDir, `${key}${smartCut ? '.smart' : ''}.mp4`);
+        // Per process, so two instances storing the same render don't share a partial file
+        const partialPath = `${cachePath}.${process.pid}.part`;
+
+        await linkOrCopyFile(sourcePath, partialPath);
+        await fs.promises.rename(partialPath, cachePath);
+
+        const previous = this.entries.get(key);
+        if (previous && previous.path !== cachePath) await fs.promises.rm(previous.path, { force: true });
+
+        const { size } = await fs.promises.stat(cachePath);
+        this.entries.delete(key);
+        this.entries.set(key, { path: cachePath, size, smartCut });
+        await this.evict();
+    }
+
+    async evict() {
+        let total = this.getSize();
+        for (const [key, entry] of this.entries) {
+            if (total <= this.maxBytes) break;
+            this.entries.delete(key);
+            total -= entry.size;
+            await fs.promises.rm(entry.path, { force: true });
+        }
+    }
+
+    getSize() {
+        let total = 0;
+        this.entries.forEach(entry => { total += entry.size; });
+        return total;
+    }
+
+    getInfo() {
+        return { size: this.getSize(), limit: this.maxBytes, count: this.entries.size };
+    }
+
+    clear() {
+        this.entries.clear();
+        return clearCacheDirectory(this.cacheDir);
+    }
+}
+
+// Signal 0 only checks that the process exists
+function isProcessRunning(pid) {
+    if (!pid) return false;
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: it exists but belongs to someone else
+        return error.code === 'EPERM';
+    }
+}
+
+// Hard-link where source and target share a volume, copy otherwise
+async function linkOrCopyFile(sourcePath, targetPath) {
+    await fs.promises.rm(targetPath, { force: true });
+    try {
+        await fs.promises.link(sourcePath, targetPath);
+    } catch (err) {
+        await fs.promises.copyFile(sourcePath, targetPath);
+    }
+}
+
+// Remove every file in a cache directory, keeping the directory itself
+async function clearCacheDirectory(directory) {
+    const entries = await fs.promises.readdir(directory);
+    await Promise.all(entries.map(entry => fs.promises.rm(path.join(directory, entry), { recursive: true, force: true })));
+    return { success: true };
+}
+
+// Project File Service
+class ProjectFileService {
+    static getSchemaVersion() {
+        return 2;
+    }
+
+    // Each migration upgrades a file from the version it is keyed by to the next one
+    static getMigrations() {
+        return {
+            // Version 1 was the bare editor state with absolute paths inside every clip
+            1: (data, { projectDir }) => {
+                const items = new Map();
+                Object.values(data.timeline?.tracks || {}).flat().forEach(clip => {
+                    if (clip.mediaItem?.filePath && !items.has(clip.mediaItem.id)) {
+                        items.set(clip.mediaItem.id, clip.mediaItem);
+                    }
+                });
+
+                return {
+                    format: 'vep',
+                    version: 2,
+                    media: [...items.values()].map(item => ({
+                        id: item.id,
+                        fileName: item.fileName,
+                        relativePath: ProjectFileService.toRelativePath(projectDir, item.filePath),
+                        absolutePath: item.filePath,
+                        hash: null
+                    })),
+                    mediaLibrary: [...items.values()].map(ProjectFileService.stripPath),
+                    project: ProjectFileService.stripClipPaths(data)
+                };
+            }
+        };
+    }
+
+    // Media is stored once in a table, by path relative to the project plus a content
+    // hash; clips and the media library only keep the media id
+    static async save(filePath, projectData) {
+        const projectDir = path.dirname(filePath);
+        const { mediaLibrary = [], ...project } = projectData;
+
+        const items = new Map();
+        const clips = Object.values(project.timeline.tracks).flat();
+        [...mediaLibrary, ...clips.map(clip => clip.mediaItem)].forEach(item => {
+            if (item?.filePath && !items.has(item.id)) items.set(item.id, item);
+        });
+
+        const media = await Promise.all([...items.values()].map(async item => ({
+            id: item.id,
+            fileName: item.fileName,
+            relativePath: ProjectFileService.toRelativePath(projectDir, item.filePath),
+            absolutePath: item.filePath,
+            hash: fs.existsSync(item.filePath) ? await MediaInfoService.getContentHash(item.filePath) : null
+        })));
+
+        const file = {
+            format: 'vep',
+            version: ProjectFileService.getSchemaVersion(),
+            savedAt: new Date().toISOString(),
+            media,
+            mediaLibrary: mediaLibrary.map(ProjectFileService.stripPath),
+            project: ProjectFileService.stripClipPaths(project)
+        };
+
+        // Write beside the target and rename, so a failed save never truncates the project
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(file, null, 2), 'utf8');
+        await fs.promises.rename(tempPath, filePath);
+
+        return { success: true, filePath };
+    }
+
+    static async load(filePath) {
+        const projectDir = path.dirname(filePath);
+        let raw;
+        try {
+            raw = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Not a valid project file: ${error.message}`);
+        }
+
+        const data = ProjectFileService.migrate(raw, { projectDir });
+        const resolved = await Promise.all(data.media.map(entry => ProjectFileService.resolveMedia(entry, projectDir)));
+
+        const paths = new Map();
+        const missingMedia = [];
+        data.media.forEach((entry, index) => {
+            if (resolved[index]) paths.set(entry.id, resolved[index]);
+            else missingMedia.push(entry);
+        });
+
+        const attach = (item) => item && paths.has(item.id) ? { ...item, filePath: paths.get(item.id) } : item;
+        const project = data.project;
+        Object.keys(project.timeline.tracks).forEach(trackType => {
+            project.timeline.tracks[trackType] = project.timeline.tracks[trackType]
+                .map(clip => ({ ...clip, mediaItem: attach(clip.mediaItem) }));
+        });
+
+        return {
+            success: true,
+            filePath,
+            project,
+            mediaLibrary: data.mediaLibrary.map(attach),
+            missingMedia
+        };
+    }
+
+    static migrate(raw, context) {
+        let data = raw;
+        let version = raw.format === 'vep' ? raw.version : 1;
+
+        if (version === 1 && !raw.timeline) {
+            throw new Error('Not a valid project file');
+        }
+        if (version > ProjectFileService.getSchemaVersion()) {
+            throw new Error(`This project was saved by a newer version of the editor (format ${version})`);
+        }
+
+        while (version < ProjectFileService.getSchemaVersion()) {
+            const migration = ProjectFileService.getMigrations()[version];
+            if (!migration) throw new Error(`No migration from project format ${version}`);
+            data = migration(data, context);
+            version = data.version;
+        }
+
+        return data;
+    }
+
+    // Prefer the path relative to the project, so a project folder can be moved with its
+    // media. A file only counts as found when its content hash still matches.
+    static async resolveMedia(entry, projectDir) {
+        const candidates = [
+            entry.relativePath && path.resolve(projectDir, entry.relativePath),
+            entry.absolutePath
+        ].filter((candidate, index, list) => candidate && list.indexOf(candidate) === index);
+
+        for (const candidate of candidates) {
+            if (await ProjectFileService.matches(candidate, entry.hash)) return candidate;
+        }
+        return null;
+    }
+
+    static async matches(filePath, hash) {
+        if (!fs.existsSync(filePath)) return false;
+        if (!hash) return true;
+        try {
+            return await MediaInfoService.getContentHash(filePath) === hash;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Ask the user for a moved file, then look for the other missing files next to it
+    static async relinkMedia(entry, otherMissing = []) {
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: `Locate ${entry.fileName}`,
+            defaultPath: entry.fileName,
+            properties: ['openFile']
+        });
+        if (result.canceled || result.filePaths.length === 0) return null;
+
+        const filePath = result.filePaths[0];
+        const directory = path.dirname(filePath);
+        const found = {};
+
+        for (const other of otherMissing) {
+            const candidate = path.join(directory, other.fileName);
+            if (await ProjectFileService.matches(candidate, other.hash)) {
+                found[other.id] = candidate;
+            }
+        }
+
+        return {
+            filePath,
+            hashMatches: await ProjectFileService.matches(filePath, entry.hash),
+            found
+        };
+    }
+
+    static toRelativePath(projectDir, filePath) {
+        return path.relative(projectDir, filePath).split(path.sep).join('/');
+    }
+
+    static stripPath(item) {
+        const { filePath, ...rest } = item;
+        return rest;
+    }
+
+    static stripClipPaths(project) {
+        const tracks = {};
+        Object.entries(project.timeline.tracks).forEach(([trackType, clips]) => {
+            tracks[trackType] = clips.map(clip => ({
+                ...clip,
+                mediaItem: clip.mediaItem && ProjectFileService.stripPath(clip.mediaItem)
+            }));
+        });
+        return { ...project, timeline: { ...project.timeline, tracks } };
+    }
+}
+
+// Recovery Service
+class RecoveryService {
+    constructor(directory, maxSnapshots = 20) {
+        this.directory = directory;
+        this.maxSnapshots = maxSnapshots;
+        this.sessionId = uuidv4();
+        this.lockPath = path.join(directory, `session-${this.sessionId}.lock`);
+        this.crashedSessions = [];
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    // Every running editor holds its own lock. One left behind by a process that's
+    // gone means that session never reached a clean quit; locks of editors still
+    // running are left alone.
+    startSession() {
+        fs.readdirSync(this.directory)
+            .filter(fileName => /^session(-[0-9a-f-]+)?\.lock$/.test(fileName))
+            .forEach(fileName => {
+                const lockPath = path.join(this.directory, fileName);
+                let lock = {};
+                try {
+                    lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+                } catch (error) {
+                    // Unreadable: written by a session that died mid-write
+                }
+                if (isProcessRunning(lock.pid)) return;
+
+                if (lock.sessionId) this.crashedSessions.push(lock.sessionId);
+                fs.rmSync(lockPath, { force: true });
+            });
+
+        fs.writeFileSync(this.lockPath, JSON.stringify({
+            pid: process.pid,
+            sessionId: this.sessionId,
+            startedAt: new Date().toISOString()
+        }));
+    }
+
+    endSession() {
+        fs.rmSync(this.lockPath, { force: true });
+    }
+
+    // Snapshot names carry the session that wrote them, so only a crashed session's
+    // own work is offered back
+    async writeSnapshot(projectData) {
+        const filePath = path.join(this.directory, `autosave-${Date.now()}-${this.sessionId}.vep`);
+        await ProjectFileService.save(filePath, projectData);
+        this.rotate();
+        return { success: true, fileName: path.basename(filePath) };
+    }
+
+    // Keep only the newest snapshots
+    rotate() {
+        this.getSnapshotFiles()
+            .slice(this.maxSnapshots)
+            .forEach(fileName => fs.unlinkSync(path.join(this.directory, fileName)));
+    }
+
+    getSnapshotFiles() {
+        return fs.readdirSync(this.directory)
+            .filter(fileName => /^autosave-\d+(-[0-9a-f-]+)?\.vep$/.test(fileName))
+            .sort((a, b) => parseInt(b.match(/\d+/)[0]) - parseInt(a.match(/\d+/)[0]));
+    }
+
+    listSnapshots() {
+        return this.getSnapshotFiles().map(fileName => {
+            try {
+                const file = JSON.parse(fs.readFileSync(path.join(this.directory, fileName), 'utf8'));
+                const clips = Object.values(file.project.timeline.tracks).flat();
+                return {
+                    fileName,
+                    sessionId: (/^autosave-\d+-([0-9a-f-]+)\.vep$/.exec(fileName) || [])[1] || null,
+                    savedAt: file.savedAt,
+                    name: file.project.name,
+                    clipCount: clips.length,
+                    duration: file.project.timeline.duration || 0
+                };
+            } catch (error) {
+                return null;
+            }
+        }).filter(Boolean);
+    }
+
+    // `recoverable` is what the crashed sessions autosaved, newest first
+    getState() {
+        const snapshots = this.listSnapshots();
+        return {
+            crashed: this.crashedSessions.length > 0,
+            recoverable: snapshots.filter(snapshot => this.crashedSessions.includes(snapshot.sessionId)),
+            snapshots
+        };
+    }
+
+    loadSnapshot(fileName) {
+        // Only ever read from the recovery folder
+        return ProjectFileService.load(path.join(this.directory, path.basename(fileName)));
+    }
+}
+
+// Export Planner
+// Turns a project into an export job spec: Video 1 cut into segments (overlaps
+// resolved, transitions given handles), the upper video tracks as layers, plus the
+// audio and text tracks. The editor's export button and headless renders both use it.
+class ExportPlanner {
+    static buildSpec(project, { name, outputPath, settings = {} }) {
+        const tracks = project.timeline.tracks;
+        Object.values(tracks).flat().forEach(clip => ExportPlanner.normalizeClip(clip));
+
+        // Video 1 is cut together as the base; higher video tracks are layered over it
+        const videoClips = tracks.video
+            .filter(clip => clip.mediaItem.hasVideo)
+            .sort((a, b) => a.startTime - b.startTime);
+        const baseClips = videoClips.filter(clip => (clip.trackIndex || 0) === 0);
+        const overlayClips = videoClips.filter(clip => (clip.trackIndex || 0) > 0);
+
+        // Overlay clips keep their own sound, mixed in alongside the audio track
+        const audioClips = [
+            ...tracks.audio.filter(clip => clip.mediaItem.hasAudio),
+            ...overlayClips.filter(clip => clip.mediaItem.hasAudio && clip.volume !== 0)
+        ];
+
+        const exportSettings = { ...project.settings, ...settings };
+        const { pieces, transitions } = ExportPlanner.buildBaseTrackPlan(project, baseClips);
+        const segments = pieces.map(piece => {
+            const clip = piece.clip;
+            return {
+                inputPath: clip.mediaItem.filePath,
+                sourceIn: piece.sourceIn,
+                sourceOut: piece.sourceOut,
+                segmentId: piece.id,
+                speed: clip.speed || 1,
+                volume: clip.volume !== undefined ? clip.volume : 100,
+                effects: piece.effects,
+                opacity: clip.opacity !== undefined ? clip.opacity : 100,
+                visualEffects: clip.visualEffects || {},
+                transform: clip.transform || null,
+                fit: clip.fit || 'fit',
+                resolution: exportSettings.resolution,
+                quality: exportSettings.quality,
+                smartRender: !!exportSettings.smartRender,
+                lossless: FFmpegConfig.needsFinalEncode(exportSettings.format),
+                timelineStart: piece.start,
+                headHandle: piece.headHandle,
+                tailHandle: piece.tailHandle
+            };
+        });
+
+        return {
+            name: name || project.name,
+            outputPath,
+            segments,
+            // Exact end of the last clip on any track
+            duration: Math.max(0, ...Object.values(tracks).flat().map(clip => clip.endTime)),
+            settings: exportSettings,
+            transitions,
+            overlayClips,
+            textClips: tracks.text,
+            audioClips
+        };
+    }
+
+    // Fill in the source range for clips created before it was tracked, and place
+    // the clip's end from its source range and speed
+    static normalizeClip(clip) {
+        if (clip.sourceIn === undefined) clip.sourceIn = 0;
+        if (clip.sourceOut === undefined) clip.sourceOut = clip.sourceIn + clip.duration;
+        clip.duration = (clip.sourceOut - clip.sourceIn) / (clip.speed || 1);
+        clip.endTime = clip.startTime + clip.duration;
+        return clip;
+    }
+
+    static isReversed(clip) {
+        return (clip.effects || []).some(effect => effect.type === 'reverse');
+    }
+
+    // Transitions stay stored while their clips are apart, but only play where the
+    // two clips on Video 1 meet end to start
+    static getActiveTransitions(project) {
+        const clips = project.timeline.tracks.video
+            .filter(clip => (clip.trackIndex || 0) === 0)
+            .sort((a, b) => a.startTime - b.startTime);
+
+        const cuts = [];
+        clips.forEach(from => {
+            const to = clips.find(clip => clip !== from && Math.abs(clip.startTime - from.endTime) < 0.05);
+            if (to) cuts.push({ from, to, time: from.endTime });
+        });
+
+        return (project.timeline.transitions || [])
+            .map(transition => ({
+                transition,
+                cut: cuts.find(cut => cut.from.id === transition.fromClipId && cut.to.id === transition.toClipId)
+            }))
+            .filter(entry => entry.cut);
+    }
+
+    // Flatten Video 1 into the pieces that are actually visible. Where clips
+    // overlap, the clip that starts later wins (ties go to the one added last),
+    // the same as dropping a clip on top of another. Pieces either side of a
+    // transition also render up to half its length of extra source material
+    // (handles) for the two clips to overlap in.
+    static buildBaseTrackPlan(project, clips) {
+        const track = project.timeline.tracks.video;
+        const boundaries = [...new Set(clips.flatMap(clip => [clip.startTime, clip.endTime]))].sort((a, b) => a - b);
+
+        const pieces = [];
+        for (let i = 0; i < boundaries.length - 1; i++) {
+            const start = boundaries[i];
+            const end = boundaries[i + 1];
+            const middle = (start + end) / 2;
+
+            const winner = clips
+                .filter(clip => middle >= clip.startTime && middle < clip.endTime)
+                .sort((a, b) => b.startTime - a.startTime || track.indexOf(b) - track.indexOf(a))[0];
+            if (!winner) continue;
+
+            const last = pieces[pieces.length - 1];
+            if (last && last.clip === winner && Math.abs(last.end - start) < 0.0001) {
+                last.end = end;
+            } else {
+                pieces.push({ clip: winner, start, end });
+            }
+        }
+
+        pieces.forEach((piece, index) => {
+            piece.id = `${piece.clip.id}_${index}`;
+        });
+
+        // Transitions only apply where their two clips are still visible either side of the cut
+        const transitions = [];
+        ExportPlanner.getActiveTransitions(project).forEach(({ transition, cut }) => {
+            const index = pieces.findIndex(piece => piece.clip === cut.from && Math.abs(piece.end - cut.time) < 0.0001);
+            const next = pieces[index + 1];
+            if (index === -1 || !next || next.clip !== cut.to || Math.abs(next.start - cut.time) > 0.0001) return;
+
+            pieces[index].wantTail = transition.duration / 2;
+            next.wantHead = transition.duration / 2;
+            transitions.push({
+                fromSegmentId: pieces[index].id,
+                toSegmentId: next.id,
+                type: transition.type,
+                duration: transition.duration,
+                easing: transition.easing || 'linear'
+            });
+        });
+
+        return {
+            transitions,
+            pieces: pieces.map(piece => {
+                const clip = piece.clip;
+                const speed = clip.speed || 1;
+                const reversed = ExportPlanner.isReversed(clip);
+                const mediaDuration = clip.mediaItem.duration || Math.max(clip.sourceIn, clip.sourceOut);
+                let headOffset = (piece.start - clip.startTime) * speed;
+                let tailOffset = (piece.end - clip.startTime) * speed;
+
+                // Handles are limited by how much media exists beyond the piece
+                const headRoom = reversed ? mediaDuration - clip.sourceOut + headOffset : clip.sourceIn + headOffset;
+                const tailRoom = reversed ? clip.sourceOut - tailOffset : mediaDuration - clip.sourceIn - tailOffset;
+                const headHandle = Math.max(0, Math.min(piece.wantHead || 0, headRoom / speed));
+                const tailHandle = Math.max(0, Math.min(piece.wantTail || 0, tailRoom / speed));
+                headOffset -= headHandle * speed;
+                tailOffset += tailHandle * speed;
+
+                const duration = piece.end - piece.start;
+                const isHead = piece.start <= clip.startTime + 0.0001;
+                const isTail = piece.end >= clip.endTime - 0.0001;
+
+                // Fades belong to the clip's own edges, not to cuts made by overlaps
+                const effects = (clip.effects || [])
+                    .filter(effect => (effect.type !== 'fade-in' || isHead) && (effect.type !== 'fade-out' || isTail))
+                    .map(effect => {
+                        if (effect.type === 'fade-in') return { ...effect, startTime: headHandle };
+                        if (effect.type === 'fade-out') {
+                            return { ...effect, startTime: headHandle + Math.max(0, duration - effect.parameters.duration) };
+                        }
+                        return effect;
+                    });
+
+                return {
+                    id: piece.id,
+                    clip,
+                    start: piece.start,
+                    end: piece.end,
+                    sourceIn: reversed ? clip.sourceOut - tailOffset : clip.sourceIn + headOffset,
+                    sourceOut: reversed ? clip.sourceOut - headOffset : clip.sourceIn + tailOffset,
+                    headHandle,
+                    tailHandle,
+                    effects
+                };
+            })
+        };
+    }
+}
+
+// Export Queue Service
+class ExportQueue {
+    constructor(tempRoot, renderCache = null, concurrency = 1) {
+        this.tempRoot = path.join(tempRoot, `process-${process.pid}`);
+        this.renderCache = renderCache;
+        this.concurrency = concurrency;
+        this.jobs = new Map();
+        // Called with every job update, alongside the one sent to the window
+        this.onJobUpdate = null;
+
+        // Each process works in its own folder, as other editor windows may be exporting
+        // right now. Folders of processes that are gone were left by a run that never finished.
+        fs.mkdirSync(tempRoot, { recursive: true });
+        fs.readdirSync(tempRoot).forEach(name => {
+            const match = /^process-(\d+)$/.exec(name);
+            if (match && parseInt(match[1]) !== process.pid && isProcessRunning(parseInt(match[1]))) return;
+            fs.rmSync(path.join(tempRoot, name), { recursive: true, force: true });
+        });
+        fs.mkdirSync(this.tempRoot, { recursive: true });
+    }
+
+    // A job is a full export: the segments to trim plus the merge options for mergeVideos
+    addJob(spec) {
+        // Refuse now rather than failing partway through the render
+        const missing = FFmpegConfig.getMissingFeatures({ format: spec.settings && spec.settings.format, textClips: spec.textClips });
+        const binaries = missing.filter(name => name === 'ffmpeg' || name === 'ffprobe');
+        if (binaries.length > 0) {
+            throw new Error(`${binaries.join(' and ')} ${binaries.length > 1 ? 'were' : 'was'} not found. Install ffmpeg, or set FFMPEG_PATH and FFPROBE_PATH, then restart.`);
+        }
+        if (missing.length > 0) {
+            throw new Error(`This ffmpeg build can't render this export. Missing: ${missing.join(', ')}`);
+        }
+
+        const job = {
+            id: uuidv4(),
+            name: spec.name || path.basename(spec.outputPath),
+            outputPath: spec.outputPath,
+            status: 'queued',
+            progress: 0,
+            step: 'Waiting',
+            eta: null,
+            speed: null,
+            fps: null,
+            error: null,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            spec,
+            processor: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.notify(job);
+        this.drain();
+        return ExportQueue.describe(job);
+    }
+
+    getJobs() {
+        return [...this.jobs.values()].map(ExportQueue.describe);
+    }
+
+    setConcurrency(concurrency) {
+        this.concurrency = Math.max(1, Math.min(4, parseInt(concurrency) || 1));
+        this.drain();
+        return { success: true, concurrency: this.concurrency };
+    }
+
+    drain() {
+        const running = [...this.jobs.values()].filter(job => job.processor).length;
+        const waiting = [...this.jobs.values()].filter(job => job.status === 'queued');
+        waiting.slice(0, Math.max(0, this.concurrency - running)).forEach(job => this.run(job));
+    }
+
+    async run(job) {
+        const tempDir = path.join(this.tempRoot, `job_${job.id}`);
+        const processor = new VideoProcessor({ tempDir, jobId: job.id, renderCache: this.renderCache });
+        const { segments, ...mergeOptions } = job.spec;
+        // The export is written beside its destination and only moved over it once
+        // it's complete, so a failed job never touches a file it was meant to replace
+        const partialPath = ExportQueue.getPartialPath(job.outputPath);
+
+        job.processor = processor;
+        job.status = 'running';
+        job.startedAt = Date.now();
+        job.steps = ExportQueue.planSteps(job.spec);
+        job.step = ExportQueue.describeStep(job, job.steps[0]);
+        processor.onProgress = (event) => this.trackProgress(job, event);
+        this.notify(job);
+
         try {
-            fs.copyFileSync(inputPath, outputPath);
-            fs.unlinkSync(inputPath);
-            resolve({ success: true, outputPath });
-        } catch (err) {
-            reject(err);
+            // Jobs running side by side share the CPUs between their segment workers
+            const workers = Math.max(1, Math.floor(os.cpus().length / this.concurrency));
+            const results = await processor.renderSegments(
+                segments.map(({ timelineStart, headHandle, tailHandle, ...trimOptions }) => trimOptions),
+                workers
+            );
+            const processedSegments = results.map((result, i) => ({
+                path: result.outputPath,
+                id: result.segmentId,
+                duration: result.duration,
+                timelineStart: segments[i].timelineStart,
+                headHandle: segments[i].headHandle,
+                tailHandle: segments[i].tailHandle,
+                fit: segments[i].fit,
+                sourcePath: segments[i].inputPath,
+                smartCut: !!result.smartCut
+            }));
+
+            await processor.mergeVideos({ ...mergeOptions, outputPath: partialPath, segments: processedSegments });
+            fs.renameSync(partialPath, job.outputPath);
+
+            job.status = 'done';
+            job.step = 'Done';
+            job.progress = 1;
+            job.eta = 0;
+        } catch (error) {
+            // A failed segment cancels the rest of the job, but the job still failed
+            const cancelled = processor.cancelled && !processor.failure;
+            job.status = cancelled ? 'cancelled' : 'failed';
+            job.step = cancelled ? 'Cancelled' : 'Failed';
+            job.error = cancelled ? null : (processor.failure || error).message;
+
+            // Never leave a half-written export behind
+            fs.rmSync(partialPath, { force: true });
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+            job.processor = null;
+            job.finishedAt = Date.now();
+            this.notify(job);
+            this.drain();
         }
     }
 
-    // Clean up temporary segment files
-    cleanupSegments(segments) {
-        segments.forEach(segment => {
-            try {
-                if (fs.existsSync(segment.path)) {
-                    fs.unlinkSync(segment.path);
-                }
-            } catch (err) {
-                console.error('Error cleaning up segment:', err);
-            }
-        });
+    // "clip.mp4" is written as "clip.part.mp4"; the extension stays last so ffmpeg
+    // still picks the container from it
+    static getPartialPath(outputPath) {
+        const extension = path.extname(outputPath);
+        return `${outputPath.slice(0, outputPath.length - extension.length)}.part${extension}`;
     }
 
-    // Send progress updates to renderer
-    sendProgress(operation, stage, data = {}) {
-        if (mainWindow && mainWindow.webContents) {
-            mainWindow.webContents.send('operation-progress', {
-                operation,
-                stage,
-                timestamp: Date.now(),
-                ...data
-            });
+    // The steps an export goes through, each weighted by the seconds of video it
+    // writes, so a long segment counts for more than a short one
+    static planSteps(spec) {
+        const { segments, duration, overlayClips = [], textClips = [], audioClips = [] } = spec;
+        const steps = segments.map((segment, index) => ({
+            label: `Rendering segment ${index + 1} of ${segments.length}`,
+            operations: ['reverse', 'smart-cut', 'trim'],
+            segmentId: segment.segmentId,
+            weight: (segment.sourceOut - segment.sourceIn) / (segment.speed || 1)
+        }));
+
+        const total = duration > 0 ? duration : steps.reduce((sum, step) => sum + step.weight, 0);
+        steps.push({ label: 'Merging timeline', operations: ['merge'], weight: total });
+        if (overlayClips.length > 0) steps.push({ label: 'Layering video tracks', operations: ['composite'], weight: total });
+        if (textClips.length > 0) steps.push({ label: 'Drawing text', operations: ['text-overlay'], weight: total });
+        if (audioClips.length > 0) steps.push({ label: 'Mixing audio', operations: ['audio-mix'], weight: total });
+
+        const format = spec.settings && spec.settings.format;
+        if (FFmpegConfig.needsFinalEncode(format)) {
+            steps.push({ label: `Encoding ${FFmpegConfig.getFormatProfile(format).label}`, operations: ['encode'], weight: total });
         }
+
+        return steps;
     }
 
-    // Cleanup temp directory
-    cleanup() {
-        try {
-            if (fs.existsSync(this.tempDir)) {
-                fs.rmSync(this.tempDir, { recursive: true, force: true });
-            }
-        } catch (err) {
-            console.error("Error cleaning temp directory:", err);
+    // Segments render in parallel, so they are shown together as one step
+    static describeStep(job, step) {
+        if (step.segmentId === undefined) return step.label;
+
+        const segmentSteps = job.steps.filter(s => s.segmentId !== undefined);
+        const finished = segmentSteps.filter(s => s.fraction === 1).length;
+        return `Rendering segments (${finished} of ${segmentSteps.length} done)`;
+    }
+
+    // Overall progress: the processed share of every step, weighted. Segment steps
+    // move independently; a later step starting means everything before it is done.
+    trackProgress(job, event) {
+        const index = job.steps.findIndex(step => step.operations.includes(event.operation) &&
+            (step.segmentId === undefined || step.segmentId === event.segmentId));
+        if (index === -1) return;
+
+        const step = job.steps[index];
+        if (step.segmentId === undefined) {
+            job.steps.slice(0, index).forEach(s => { s.fraction = 1; });
+        }
+
+        // Reversed chunks and smart-cut parts report their own timestamps, so they only count once done
+        let fraction = 0;
+        if (event.stage === 'completed' && event.operation === step.operations[step.operations.length - 1]) {
+            fraction = 1;
+        } else if (event.operation !== 'reverse' && event.operation !== 'smart-cut' && step.weight > 0) {
+            fraction = Math.min(1, (event.time || 0) / step.weight);
+        }
+        step.fraction = Math.max(step.fraction || 0, fraction);
+        job.step = ExportQueue.describeStep(job, step);
+
+        const total = job.steps.reduce((sum, s) => sum + s.weight, 0);
+        const done = job.steps.reduce((sum, s) => sum + s.weight * (s.fraction || 0), 0);
+        job.progress = total > 0 ? Math.min(1, done / total) : 0;
+
+        // Speed and fps add up across the segments rendering at the same time
+        if (event.stage === 'processing') {
+            step.speed = event.speed || 0;
+            step.fps = event.fps || 0;
+            const active = job.steps.filter(s => s.speed && (s.fraction || 0) < 1);
+            job.speed = active.reduce((sum, s) => sum + s.speed, 0) || null;
+            job.fps = active.reduce((sum, s) => sum + (s.fps || 0), 0) || null;
+        }
+
+        const elapsed = (Date.now() - job.startedAt - (job.pausedTime || 0)) / 1000;
+        job.eta = job.progress > 0.01 && elapsed > 2 ? elapsed * (1 - job.progress) / job.progress : null;
+
+        // Progress arrives several times a second; status changes always go out straight away
+        if (event.stage !== 'processing' || Date.now() - (job.notifiedAt || 0) > 250) {
+            this.notify(job);
         }
     }
-}
 
-// Audio Processing Service
-class AudioProcessor {
-    constructor(videoProcessor) {
-        this.videoProcessor = videoProcessor;
+    cancelJob(jobId) {
+        const job = this.getJob(jobId);
+        if (job.processor) {
+            job.processor.cancel();
+        } else if (job.status === 'queued' || job.status === 'paused') {
+            job.status = 'cancelled';
+            job.step = 'Cancelled';
+            job.finishedAt = Date.now();
+            this.notify(job);
+        }
+        return ExportQueue.describe(job);
     }
 
-    async extractAudio(options) {
-        const { inputPath, outputPath, format = 'mp3', quality = 'high' } = options;
+    // Queued jobs are held back; running jobs have their ffmpeg processes stopped
+    pauseJob(jobId) {
+        const job = this.getJob(jobId);
+        if (job.status === 'running') {
+            if (!ExportQueue.canPause(job)) {
+                throw new Error("Running exports can't be paused on Windows; cancel them instead.");
+            }
+            job.processor.suspend();
+            job.pausedAt = Date.now();
+        } else if (job.status !== 'queued') {
+            return ExportQueue.describe(job);
+        }
 
-        return new Promise((resolve, reject) => {
-            const command = ffmpeg(inputPath).noVideo();
+        job.status = 'paused';
+        this.notify(job);
+        return ExportQueue.describe(job);
+    }
 
-            // Audio quality settings
-            const audioSettings = {
-                'high': { bitrate: '320k', sampleRate: '48000' },
-                'medium': { bitrate: '192k', sampleRate: '44100' },
-                'low': { bitrate: '128k', sampleRate: '44100' }
-            };
+    resumeJob(jobId) {
+        const job = this.getJob(jobId);
+        if (job.status !== 'paused') return ExportQueue.describe(job);
 
-            const settings = audioSettings[quality] || audioSettings.medium;
+        if (job.processor) {
+            job.processor.resume();
+            job.pausedTime = (job.pausedTime || 0) + Date.now() - job.pausedAt;
+            job.status = 'running';
+        } else {
+            job.status = 'queued';
+        }
+        this.notify(job);
+        this.drain();
+        return ExportQueue.describe(job);
+    }
 
-            if (format === 'wav') {
-                command.audioCodec('pcm_s16le');
-            } else {
-                command
-                    .audioCodec(format === 'aac' ? 'aac' : 'mp3')
-                    .audioBitrate(settings.bitrate)
-                    .audioFrequency(settings.sampleRate);
-            }
+    // Drop finished, failed and cancelled jobs from the list
+    clearFinished() {
+        [...this.jobs.values()]
+            .filter(job => ['done', 'failed', 'cancelled'].includes(job.status))
+            .forEach(job => this.jobs.delete(job.id));
+        return this.getJobs();
+    }
 
-            this.videoProcessor.executeCommand(command, outputPath, 'extract-audio')
-                .then(() => resolve({ success: true, outputPath }))
-                .catch(reject);
+    cancelAll() {
+        this.jobs.forEach(job => {
+            if (!['done', 'failed', 'cancelled'].includes(job.status)) this.cancelJob(job.id);
         });
     }
 
-    async replaceAudio(options) {
-        const { videoPath, audioPath, outputPath, mode = 'replace' } = options;
+    getJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) throw new Error(`Unknown export job ${jobId}`);
+        return job;
+    }
 
-        return new Promise((resolve, reject) => {
-            const command = ffmpeg()
-                .input(videoPath)
-                .input(audioPath);
+    notify(job) {
+        job.notifiedAt = Date.now();
+        if (this.onJobUpdate) {
+            this.onJobUpdate(ExportQueue.describe(job));
+        }
+        if (mainWindow && mainWindow.webContents) {
+            mainWindow.webContents.send('export-job-updated', ExportQueue.describe(job));
+        }
+    }
 
-            if (mode === 'replace') {
-                command.outputOptions([
-                    '-c:v', 'copy',
-                    '-c:a', 'aac',
-                    '-b:a', '192k',
-                    '-map', '0:v:0',
-                    '-map', '1:a:0',
-                    '-shortest'
-                ]);
-            } else if (mode === 'mix') {
-                command
-                    .complexFilter('[0:a][1:a]amix=inputs=2:duration=first:dropout_transition=3[aout]')
-                    .outputOptions([
-                        '-c:v', 'copy',
-                        '-map', '0:v:0',
-                        '-map', '[aout]'
-                    ]);
-            }
+    // What the renderer sees of a job
+    static describe(job) {
+        const { spec, processor, steps, notifiedAt, ...info } = job;
+        return { ...info, canPause: ExportQueue.canPause(job) };
+    }
 
-            this.videoProcessor.executeCommand(command, outputPath, 'replace-audio')
-                .then(() => resolve({ success: true, outputPath }))
-                .catch(reject);
-        });
+    // ffmpeg is paused with SIGSTOP, which Windows doesn't have; jobs there can
+    // only be paused before they start
+    static canPause(job) {
+        if (job.status === 'queued') return true;
+        return job.status === 'running' && process.platform !== 'win32';
     }
 }
 
-// Media Information Service
-class MediaInfoService {
-    static async getMediaInfo(filePath) {
-        return new Promise((resolve, reject) => {
-            ffmpeg.ffprobe(filePath, (err, metadata) => {
-                if (err) return reject(err);
+// Headless Render
+// `electron . --render project.vep --out file.mp4 [--preset high] [--format webm]
+// [--resolution 1080p]` renders a saved project through the export queue without
+// opening a window. Progress goes to stdout, errors to stderr.
+class HeadlessRender {
+    static getExitCodes() {
+        return {
+            success: 0,
+            renderFailed: 1,
+            usage: 2,
+            projectError: 3,
+            missingMedia: 4,
+            // ffmpeg or ffprobe not found, or missing an encoder or filter the project needs
+            ffmpegMissing: 5,
+            cancelled: 130
+        };
+    }
 
-                const videoStream = metadata.streams.find(s => s.codec_type === "video");
-                const audioStream = metadata.streams.find(s => s.codec_type === "audio");
+    static getUsage() {
+        return 'Usage: electron . --render <project.vep> --out <file> ' +
+            '[--preset ultra|high|medium|fast] [--format <format>] [--resolution <resolution>]';
+    }
 
-                let fps = 30;
-                if (videoStream?.r_frame_rate) {
-                    const [num, den] = videoStream.r_frame_rate.split('/').map(Number);
-                    fps = num / den;
-                }
+    // Options from "--name value" or "--name=value"; null unless --render is given.
+    // A flag without a value is recorded in options.error for run() to report.
+    static parseArgs(argv) {
+        const options = {};
+        for (let i = 0; i < argv.length; i++) {
+            const match = /^--(render|out|preset|format|resolution)(?:=(.*))?$/.exec(argv[i]);
+            if (!match) continue;
+
+            const inline = match[2] !== undefined;
+            const value = inline ? match[2] : argv[i + 1];
+            if (!value || value.startsWith('--')) {
+                options[match[1]] = null;
+                options.error = options.error || `--${match[1]} needs a value`;
+                continue;
+            }
+            options[match[1]] = value;
+            if (!inline) i++;
+        }
+        return 'render' in options ? options : null;
+    }
 
-                resolve({
-                    id: uuidv4(),
-                    filePath,
-                    fileName: path.basename(filePath),
-                    fileSize: metadata.format.size || 0,
-                    duration: parseFloat(metadata.format.duration) || 0,
-                    bitrate: parseInt(metadata.format.bit_rate) || 0,
-                    hasVideo: !!videoStream,
-                    hasAudio: !!audioStream,
-                    video: videoStream ? {
-                        width: videoStream.width,
-                        height: videoStream.height,
-                        fps: Math.round(fps),
-                        codec: videoStream.codec_name,
-                        bitrate: parseInt(videoStream.bit_rate) || 0,
-                        pixelFormat: videoStream.pix_fmt
-                    } : null,
-                    audio: audioStream ? {
-                        codec: audioStream.codec_name,
-                        sampleRate: parseInt(audioStream.sample_rate) || 44100,
-                        channels: audioStream.channels || 2,
-                        bitrate: parseInt(audioStream.bit_rate) || 0
-                    } : null,
-                    metadata: {
-                        format: metadata.format.format_name,
-                        duration: metadata.format.duration,
-                        tags: metadata.format.tags || {}
-                    }
-                });
-            });
-        });
+    // The output extension picks the format, preferring the project's own when it shares it
+    static inferFormat(outputPath, projectFormat) {
+        const extension = path.extname(outputPath).slice(1).toLowerCase();
+        const profiles = FFmpegConfig.getFormatProfiles();
+        if (profiles[projectFormat] && profiles[projectFormat].extension === extension) return projectFormat;
+        return Object.keys(profiles).find(format => profiles[format].extension === extension) || null;
     }
 
-    static async generateThumbnail(options) {
-        const { inputPath, timestamp = 1, outputPath, size = '320x240' } = options;
+    // Resolves with the exit code
+    static async run(options, exportQueue) {
+        const codes = HeadlessRender.getExitCodes();
+        const fail = (code, message) => {
+            process.stderr.write(`${message}\n`);
+            return code;
+        };
 
-        return new Promise((resolve, reject) => {
-            const thumbPath = outputPath || path.join(videoProcessor.tempDir, `thumb_${Date.now()}.jpg`);
+        const presets = Object.keys(FFmpegConfig.getQualityPresets()).filter(preset => preset !== 'copy');
+        if (options.error) {
+            return fail(codes.usage, `${options.error}\n${HeadlessRender.getUsage()}`);
+        }
+        if (!options.render || !options.out) {
+            return fail(codes.usage, HeadlessRender.getUsage());
+        }
+        if (options.preset && !presets.includes(options.preset)) {
+            return fail(codes.usage, `Unknown preset "${options.preset}". Use one of: ${presets.join(', ')}`);
+        }
+        if (options.format && !FFmpegConfig.getFormatProfiles()[options.format]) {
+            return fail(codes.usage, `Unknown format "${options.format}". Use one of: ${Object.keys(FFmpegConfig.getFormatProfiles()).join(', ')}`);
+        }
+        if (options.resolution && !FFmpegConfig.getResolutionMap()[options.resolution]) {
+            return fail(codes.usage, `Unknown resolution "${options.resolution}". Use one of: ${Object.keys(FFmpegConfig.getResolutionMap()).join(', ')}`);
+        }
 
-            ffmpeg(inputPath)
-                .seekInput(timestamp)
-                .frames(1)
-                .size(size)
-                .outputOptions(['-q:v', '2']) // High quality JPEG
-                .output(thumbPath)
-                .on('end', () => resolve({ success: true, thumbnailPath: thumbPath }))
-                .on('error', reject)
-                .run();
+        let loaded;
+        try {
+            loaded = await ProjectFileService.load(path.resolve(options.render));
+        } catch (error) {
+            return fail(codes.projectError, `Could not open ${options.render}: ${error.message}`);
+        }
+
+        // There's nobody to relink moved files
+        if (loaded.missingMedia.length > 0) {
+            return fail(codes.missingMedia, 'Missing media:\n' +
+                loaded.missingMedia.map(entry => `  ${entry.fileName} (${entry.relativePath || entry.absolutePath})`).join('\n'));
+        }
+
+        const outputPath = path.resolve(options.out);
+        const format = options.format || HeadlessRender.inferFormat(outputPath, loaded.project.settings.format);
+        if (!format) {
+            return fail(codes.usage, `Can't tell the format from "${path.extname(outputPath)}"; pass --format`);
+        }
+
+        const settings = { format };
+        if (options.preset) settings.quality = options.preset;
+        if (options.resolution) settings.resolution = options.resolution;
+
+        let spec;
+        try {
+            spec = ExportPlanner.buildSpec(loaded.project, { outputPath, settings });
+        } catch (error) {
+            return fail(codes.projectError, `Could not read the project's timeline: ${error.message}`);
+        }
+        if (spec.segments.length === 0 && !(spec.duration > 0)) {
+            return fail(codes.projectError, 'The project has nothing to render');
+        }
+
+        let lastLine = null;
+        const finished = new Promise(resolve => {
+            exportQueue.onJobUpdate = (job) => {
+                const line = HeadlessRender.describeProgress(job);
+                if (line !== lastLine) {
+                    process.stdout.write(`${line}\n`);
+                    lastLine = line;
+                }
+                if (['done', 'failed', 'cancelled'].includes(job.status)) resolve(job);
+            };
         });
+
+        try {
+            exportQueue.addJob(spec);
+        } catch (error) {
+            return fail(codes.ffmpegMissing, error.message);
+        }
+
+        // Ctrl+C or a CI timeout stops ffmpeg and removes the partial output
+        const cancel = () => exportQueue.cancelAll();
+        process.once('SIGINT', cancel);
+        process.once('SIGTERM', cancel);
+
+        const job = await finished;
+        process.removeListener('SIGINT', cancel);
+        process.removeListener('SIGTERM', cancel);
+
+        if (job.status === 'done') {
+            process.stdout.write(`Rendered ${outputPath}\n`);
+            return codes.success;
+        }
+        if (job.status === 'cancelled') return fail(codes.cancelled, 'Render cancelled');
+        return fail(codes.renderFailed, `Render failed: ${job.error}`);
+    }
+
+    // One line per step and whole percent, so CI logs stay readable:
+    // "[ 42%] Rendering segments (3 of 5 done), 2.1x, 0:35 left"
+    static describeProgress(job) {
+        const percent = `${Math.floor(job.progress * 100)}%`.padStart(4);
+        const parts = [job.step];
+        if (job.status === 'running' && job.speed) parts.push(`${job.speed.toFixed(1)}x`);
+        if (job.status === 'running' && job.eta !== null && job.eta !== undefined) {
+            const eta = Math.round(job.eta);
+            parts.push(`${Math.floor(eta / 60)}:${String(eta % 60).padStart(2, '0')} left`);
+        }
+        return `[${percent}] ${parts.join(', ')}`;
     }
 }
 
@@ -433,8 +3420,12 @@ class MediaInfoService {
 let mainWindow;
 let videoProcessor;
 let audioProcessor;
-
-FFmpegConfig.setPath();
+let recoveryService;
+let waveformService;
+let thumbnailService;
+let proxyService;
+let renderCache;
+let exportQueue;
 
 function createWindow() {
     mainWindow = new BrowserWindow({
@@ -471,7 +3462,39 @@ function createWindow() {
 }
 
 // App lifecycle
-app.whenReady().then(createWindow);
+app.whenReady().then(async () => {
+    await FFmpegConfig.probe();
+
+    // Headless renders skip the window and crash recovery, and use their own temp
+    // folder so an editor that's open at the same time keeps its exports
+    const renderOptions = HeadlessRender.parseArgs(process.argv);
+    if (renderOptions) {
+        if (app.dock) app.dock.hide();
+        const tempRoot = path.join(os.tmpdir(), `hubbclips-render-${process.pid}`);
+        let exitCode;
+        try {
+            renderCache = new RenderCache(path.join(app.getPath('userData'), 'cache', 'renders'));
+            exportQueue = new ExportQueue(tempRoot, renderCache);
+            exitCode = await HeadlessRender.run(renderOptions, exportQueue);
+        } catch (error) {
+            // e.g. an unwritable cache or temp folder; CI still needs an exit code
+            process.stderr.write(`Render failed: ${error.message}\n`);
+            exitCode = HeadlessRender.getExitCodes().renderFailed;
+        }
+        fs.rmSync(tempRoot, { recursive: true, force: true });
+        app.exit(exitCode);
+        return;
+    }
+
+    recoveryService = new RecoveryService(path.join(app.getPath('userData'), 'recovery'));
+    recoveryService.startSession();
+    waveformService = new WaveformService(path.join(app.getPath('userData'), 'cache', 'waveforms'));
+    thumbnailService = new ThumbnailService(path.join(app.getPath('userData'), 'cache', 'thumbnails'));
+    proxyService = new ProxyService(path.join(app.getPath('userData'), 'cache', 'proxies'));
+    renderCache = new RenderCache(path.join(app.getPath('userData'), 'cache', 'renders'));
+    exportQueue = new ExportQueue(path.join(__dirname, 'temp', 'jobs'), renderCache);
+    createWindow();
+});
 
 app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -486,9 +3509,41 @@ app.on("window-all-closed", () => {
 });
 
 app.on("before-quit", () => {
+    if (exportQueue) {
+        exportQueue.cancelAll();
+    }
     if (videoProcessor) {
         videoProcessor.cleanup();
     }
+    if (recoveryService) {
+        recoveryService.endSession();
+    }
+});
+
+// IPC Handlers - System
+// The machine, plus what the ffmpeg build found at startup can do
+ipcMain.handle("get-system-info", async () => {
+    const capabilities = FFmpegConfig.capabilities || await FFmpegConfig.probe();
+    return {
+        platform: process.platform,
+        arch: process.arch,
+        cpus: os.cpus().length,
+        totalMemory: os.totalmem(),
+        versions: {
+            app: app.getVersion(),
+            electron: process.versions.electron,
+            node: process.versions.node
+        },
+        // Exports need both binaries
+        ffmpeg: { ...capabilities, found: !!(capabilities.ffmpegPath && capabilities.ffprobePath) },
+        formats: FFmpegConfig.getFormatAvailability(),
+        // Without these, transitions become cuts, ducking a plain mix, and text can't be exported
+        features: {
+            transitions: FFmpegConfig.hasFilter('xfade'),
+            ducking: FFmpegConfig.hasFilter('sidechaincompress'),
+            text: FFmpegConfig.hasFilter('drawtext')
+        }
+    };
 });
 
 // IPC Handlers - File Operations
@@ -504,6 +3559,11 @@ ipcMain.handle("select-video-files", async () => {
     return !result.canceled ? result.filePaths : [];
 });
 
+ipcMain.handle("show-item-in-folder", (event, filePath) => {
+    shell.showItemInFolder(filePath);
+    return { success: true };
+});
+
 // IPC Handlers - Media Processing
 ipcMain.handle("get-media-info", (event, filePath) =>
     MediaInfoService.getMediaInfo(filePath));
@@ -511,6 +3571,24 @@ ipcMain.handle("get-media-info", (event, filePath) =>
 ipcMain.handle("generate-thumbnail", (event, options) =>
     MediaInfoService.generateThumbnail(options));
 
+ipcMain.handle("get-waveform", (event, filePath) =>
+    waveformService.getPeaks(filePath));
+
+ipcMain.handle("get-thumbnail", (event, options) =>
+    thumbnailService.getThumbnail(options));
+
+ipcMain.handle("get-proxy", (event, mediaItem) =>
+    proxyService.getProxy(mediaItem));
+
+ipcMain.handle("clear-media-cache", async () => {
+    await Promise.all([waveformService.clear(), thumbnailService.clear(), proxyService.clear()]);
+    return { success: true };
+});
+
+ipcMain.handle("get-render-cache-info", () => renderCache.getInfo());
+
+ipcMain.handle("clear-render-cache", () => renderCache.clear());
+
 ipcMain.handle('trim-video-segment', (event, options) =>
     videoProcessor.trimSegment(options));
 
@@ -523,17 +3601,42 @@ ipcMain.handle('extract-audio', (event, options) =>
 ipcMain.handle('replace-audio', (event, options) =>
     audioProcessor.replaceAudio(options));
 
+// IPC Handlers - Export Queue
+ipcMain.handle('add-export-job', (event, { project, name, outputPath }) =>
+    exportQueue.addJob(ExportPlanner.buildSpec(project, { name, outputPath })));
+
+ipcMain.handle('get-export-jobs', () =>
+    exportQueue.getJobs());
+
+ipcMain.handle('cancel-export-job', (event, jobId) =>
+    exportQueue.cancelJob(jobId));
+
+ipcMain.handle('pause-export-job', (event, jobId) =>
+    exportQueue.pauseJob(jobId));
+
+ipcMain.handle('resume-export-job', (event, jobId) =>
+    exportQueue.resumeJob(jobId));
+
+ipcMain.handle('clear-export-jobs', () =>
+    exportQueue.clearFinished());
+
+ipcMain.handle('set-export-concurrency', (event, concurrency) =>
+    exportQueue.setConcurrency(concurrency));
+
 // IPC Handlers - Project Management
-ipcMain.handle('save-video-dialog', async () => {
+// The dialog only offers the chosen format, and the path always ends in its extension
+ipcMain.handle('save-video-dialog', async (event, options = {}) => {
+    const profile = FFmpegConfig.getFormatProfile(options.format);
     const result = await dialog.showSaveDialog(mainWindow, {
-        filters: [
-            { name: 'MP4 Video', extensions: ['mp4'] },
-            { name: 'AVI Video', extensions: ['avi'] },
-            { name: 'MOV Video', extensions: ['mov'] }
-        ],
-        defaultPath: 'edited_video.mp4'
+        filters: [{ name: profile.label, extensions: [profile.extension] }],
+        defaultPath: `${options.name || 'edited_video'}.${profile.extension}`
     });
-    return !result.canceled ? result.filePath : null;
+    if (result.canceled) return null;
+
+    const extension = `.${profile.extension}`;
+    return path.extname(result.filePath).toLowerCase() === extension
+        ? result.filePath
+        : result.filePath + extension;
 });
 
 ipcMain.handle('save-project-dialog', async () => {
@@ -544,6 +3647,36 @@ ipcMain.handle('save-project-dialog', async () => {
     return !result.canceled ? result.filePath : null;
 });
 
+ipcMain.handle('open-project-dialog', async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+        filters: [
+            { name: 'Video Editor Project', extensions: ['vep'] },
+            { name: 'Legacy Project', extensions: ['json'] }
+        ],
+        properties: ['openFile']
+    });
+    return !result.canceled ? result.filePaths[0] : null;
+});
+
+ipcMain.handle('save-project', (event, filePath, projectData) =>
+    ProjectFileService.save(filePath, projectData));
+
+ipcMain.handle('load-project', (event, filePath) =>
+    ProjectFileService.load(filePath));
+
+ipcMain.handle('relink-media', (event, entry, otherMissing) =>
+    ProjectFileService.relinkMedia(entry, otherMissing));
+
+// IPC Handlers - Autosave and Recovery
+ipcMain.handle('autosave-project', (event, projectData) =>
+    recoveryService.writeSnapshot(projectData));
+
+ipcMain.handle('get-recovery-state', () =>
+    recoveryService.getState());
+
+ipcMain.handle('load-recovery-snapshot', (event, fileName) =>
+    recoveryService.loadSnapshot(fileName));
+
 // Error handling
 process.on('uncaughtException', console.error);
 process.on('unhandledRejection', console.error);
\ No newline at end of file
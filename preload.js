@@ -7,7 +7,7 @@ const fileAPI = {
     selectAudioFile: () => ipcRenderer.invoke("select-audio-file"),
 
     // Save dialogs
-    saveVideoDialog: () => ipcRenderer.invoke("save-video-dialog"),
+    saveVideoDialog: (options = {}) => ipcRenderer.invoke("save-video-dialog", options),
     saveAudioDialog: () => ipcRenderer.invoke("save-audio-dialog"),
     saveProjectDialog: () => ipcRenderer.invoke("save-project-dialog"),
     openProjectDialog: () => ipcRenderer.invoke("open-project-dialog"),
@@ -15,6 +15,12 @@ const fileAPI = {
     // File operations
     saveProject: (filePath, projectData) => ipcRenderer.invoke("save-project", filePath, projectData),
     loadProject: (filePath) => ipcRenderer.invoke("load-project", filePath),
+    relinkMedia: (entry, otherMissing) => ipcRenderer.invoke("relink-media", entry, otherMissing),
+
+    // Autosave and crash recovery
+    autosaveProject: (projectData) => ipcRenderer.invoke("autosave-project", projectData),
+    getRecoveryState: () => ipcRenderer.invoke("get-recovery-state"),
+    loadRecoverySnapshot: (fileName) => ipcRenderer.invoke("load-recovery-snapshot", fileName),
 
     // File path utilities
     getVideoUrl: (filePath) => {
@@ -31,10 +37,13 @@ const mediaAPI = {
     getMediaInfo: (filePath) => ipcRenderer.invoke("get-media-info", filePath),
     generateThumbnail: (options) => ipcRenderer.invoke("generate-thumbnail", options),
 
+    // Low-resolution preview copy of a heavy source; resolves with a null path when none is needed
+    getProxy: (mediaItem) => ipcRenderer.invoke("get-proxy", mediaItem),
+
     // Video operations
     trimVideoSegment: (options) => {
         // Validate options
-        const required = ['inputPath', 'startTime', 'endTime', 'segmentId'];
+        const required = ['inputPath', 'sourceIn', 'sourceOut', 'segmentId'];
         const missing = required.filter(key => !(key in options));
         if (missing.length > 0) {
             return Promise.reject(new Error(`Missing required parameters: ${missing.join(', ')}`));
@@ -48,7 +57,8 @@ const mediaAPI = {
     },
 
     mergeVideos: (options) => {
-        if (!options.segments || options.segments.length === 0) {
+        // A timeline with only gaps still renders to its duration
+        if (!options.segments || (options.segments.length === 0 && !(options.duration > 0))) {
             return Promise.reject(new Error('No segments provided for merging'));
         }
 
@@ -118,6 +128,7 @@ const eventAPI = {
                 stage: data.stage,
                 percent: data.percent || 0,
                 segmentId: data.segmentId,
+                mediaId: data.mediaId,
                 error: data.error,
                 timestamp: data.timestamp || Date.now(),
                 fps: data.fps,
@@ -131,6 +142,13 @@ const eventAPI = {
         return () => ipcRenderer.removeListener("operation-progress", handler);
     },
 
+    // Export job status changes (queued, running, paused, done, failed, cancelled)
+    onExportJobUpdate: (callback) => {
+        const handler = (event, job) => callback(job);
+        ipcRenderer.on("export-job-updated", handler);
+        return () => ipcRenderer.removeListener("export-job-updated", handler);
+    },
+
     // Event cleanup
     removeAllListeners: (channel) => {
         ipcRenderer.removeAllListeners(channel);
@@ -184,9 +202,7 @@ const systemAPI = {
     getTempDir: () => ipcRenderer.invoke("get-temp-dir"),
 
     // Shell integration
-    showItemInFolder: (path) => {
-        require('electron').shell.showItemInFolder(path);
-    },
+    showItemInFolder: (filePath) => ipcRenderer.invoke("show-item-in-folder", filePath),
 
     openPath: (path) => {
         require('electron').shell.openPath(path);
@@ -260,7 +276,12 @@ const encodingAPI = {
         '4K': { width: 3840, height: 2160, name: '4K UHD' },
         '1080p': { width: 1920, height: 1080, name: 'Full HD' },
         '720p': { width: 1280, height: 720, name: 'HD' },
-        '480p': { width: 854, height: 480, name: 'SD' }
+        '480p': { width: 854, height: 480, name: 'SD' },
+        'vertical-1080': { width: 1080, height: 1920, name: 'Vertical 9:16' },
+        'vertical-720': { width: 720, height: 1280, name: 'Vertical 9:16 HD' },
+        'portrait-1080': { width: 1080, height: 1350, name: 'Portrait 4:5' },
+        'square-1080': { width: 1080, height: 1080, name: 'Square 1:1' },
+        'square-720': { width: 720, height: 720, name: 'Square 1:1 HD' }
     }),
 
     // Format information
@@ -268,30 +289,60 @@ const encodingAPI = {
         'mp4': {
             name: 'MP4',
             extension: '.mp4',
+            codecs: 'H.264 / AAC',
             compatibility: 'Excellent',
             quality: 'High',
             description: 'Most compatible format'
         },
-        'avi': {
-            name: 'AVI',
-            extension: '.avi',
+        'mp4-hevc': {
+            name: 'MP4 (H.265)',
+            extension: '.mp4',
+            codecs: 'H.265 / AAC',
             compatibility: 'Good',
             quality: 'High',
-            description: 'Traditional format, larger files'
+            description: 'About half the size of H.264, slower to encode'
         },
         'mov': {
             name: 'MOV',
             extension: '.mov',
+            codecs: 'ProRes 422 / PCM',
             compatibility: 'Good',
-            quality: 'High',
-            description: 'QuickTime format, Mac optimized'
+            quality: 'Visually lossless',
+            description: 'Editing master, very large files'
         },
         'webm': {
             name: 'WebM',
             extension: '.webm',
+            codecs: 'VP9 / Opus',
             compatibility: 'Web',
-            quality: 'Good',
+            quality: 'High',
             description: 'Web-optimized format'
+        },
+        'avi': {
+            name: 'AVI',
+            extension: '.avi',
+            codecs: 'MPEG-4 / MP3',
+            compatibility: 'Good',
+            quality: 'Medium',
+            description: 'Traditional format for older players'
+        },
+        'gif': {
+            name: 'GIF',
+            extension: '.gif',
+            codecs: 'Animated GIF, no audio',
+            compatibility: 'Excellent',
+            quality: 'Low',
+            maxDuration: 30,
+            description: 'Short loops, 480px wide at 15 fps'
+        },
+        'webp': {
+            name: 'WebP',
+            extension: '.webp',
+            codecs: 'Animated WebP, no audio',
+            compatibility: 'Web',
+            quality: 'Medium',
+            maxDuration: 30,
+            description: 'Short loops, smaller than GIF'
         }
     }),
 
@@ -338,16 +389,16 @@ const validationAPI = {
         switch (type) {
             case 'trim':
                 if (!options.inputPath) errors.push('Input path required');
-                if (typeof options.startTime !== 'number' || options.startTime < 0) {
-                    errors.push('Valid start time required');
+                if (typeof options.sourceIn !== 'number' || options.sourceIn < 0) {
+                    errors.push('Valid source in point required');
                 }
-                if (typeof options.endTime !== 'number' || options.endTime <= options.startTime) {
-                    errors.push('End time must be greater than start time');
+                if (typeof options.sourceOut !== 'number' || options.sourceOut <= options.sourceIn) {
+                    errors.push('Source out point must be greater than source in point');
                 }
                 break;
 
             case 'merge':
-                if (!Array.isArray(options.segments) || options.segments.length === 0) {
+                if (!Array.isArray(options.segments) || (options.segments.length === 0 && !(options.duration > 0))) {
                     errors.push('Segments array required');
                 }
                 break;
@@ -375,11 +426,11 @@ const validationAPI = {
         delete sanitized.constructor;
 
         // Sanitize numeric values
-        if (typeof sanitized.startTime === 'string') {
-            sanitized.startTime = parseFloat(sanitized.startTime) || 0;
+        if (typeof sanitized.sourceIn === 'string') {
+            sanitized.sourceIn = parseFloat(sanitized.sourceIn) || 0;
         }
-        if (typeof sanitized.endTime === 'string') {
-            sanitized.endTime = parseFloat(sanitized.endTime) || 0;
+        if (typeof sanitized.sourceOut === 'string') {
+            sanitized.sourceOut = parseFloat(sanitized.sourceOut) || 0;
         }
         if (typeof sanitized.bitrate === 'string') {
             sanitized.bitrate = parseInt(sanitized.bitrate) || 5;
@@ -389,41 +440,74 @@ const validationAPI = {
     }
 };
 
+// Waveform API
+const waveformAPI = {
+    // Peak levels (0-255) at a fixed rate per second of source media, cached on disk
+    getWaveform: (filePath) => ipcRenderer.invoke("get-waveform", filePath)
+};
+
+// Export Queue API
+const exportAPI = {
+    // Queue an export of a project snapshot; the main process plans the segments
+    addExportJob: ({ project, name, outputPath }) => {
+        if (!outputPath) {
+            return Promise.reject(new Error('No output path for export'));
+        }
+        if (!project || !Object.values(project.timeline.tracks).some(track => track.length > 0)) {
+            return Promise.reject(new Error('Nothing to export'));
+        }
+
+        return ipcRenderer.invoke("add-export-job", { project, name, outputPath });
+    },
+
+    getExportJobs: () => ipcRenderer.invoke("get-export-jobs"),
+    cancelExportJob: (jobId) => ipcRenderer.invoke("cancel-export-job", jobId),
+    pauseExportJob: (jobId) => ipcRenderer.invoke("pause-export-job", jobId),
+    resumeExportJob: (jobId) => ipcRenderer.invoke("resume-export-job", jobId),
+    clearExportJobs: () => ipcRenderer.invoke("clear-export-jobs"),
+    setExportConcurrency: (concurrency) => ipcRenderer.invoke("set-export-concurrency", concurrency)
+};
+
 // Cache Management API
 const cacheAPI = {
-    // Thumbnail cache
+    // Thumbnail paths already resolved this session; the frames themselves
+    // live in the main process's disk cache
     thumbnailCache: new Map(),
 
-    // Cache thumbnail
-    cacheThumbnail: (filePath, thumbnailPath) => {
-        cacheAPI.thumbnailCache.set(filePath, {
-            path: thumbnailPath,
-            timestamp: Date.now()
-        });
+    // Get a cached frame, generating it in the background if needed
+    getThumbnail: (filePath, timestamp, height = 90) => {
+        const key = `${filePath}@${timestamp}@${height}`;
+        if (!cacheAPI.thumbnailCache.has(key)) {
+            const request = ipcRenderer.invoke("get-thumbnail", { filePath, timestamp, height })
+                .then(result => {
+                    cacheAPI.thumbnailCache.set(key, result.thumbnailPath);
+                    return result.thumbnailPath;
+                })
+                .catch(error => {
+                    cacheAPI.thumbnailCache.delete(key);
+                    throw error;
+                });
+            cacheAPI.thumbnailCache.set(key, request);
+        }
+        return Promise.resolve(cacheAPI.thumbnailCache.get(key));
     },
 
-    // Get cached thumbnail
-    getCachedThumbnail: (filePath) => {
-        const cached = cacheAPI.thumbnailCache.get(filePath);
-        if (cached && (Date.now() - cached.timestamp) < 3600000) { // 1 hour cache
-            return cached.path;
-        }
-        return null;
+    // Get a frame only if it is already available
+    getCachedThumbnail: (filePath, timestamp, height = 90) => {
+        const cached = cacheAPI.thumbnailCache.get(`${filePath}@${timestamp}@${height}`);
+        return typeof cached === 'string' ? cached : null;
     },
 
-    // Clear expired cache
-    clearExpiredCache: () => {
-        const now = Date.now();
-        const expired = [];
+    // Remove thumbnails, waveforms and proxies from disk
+    clearCache: () => {
+        cacheAPI.thumbnailCache.clear();
+        return ipcRenderer.invoke("clear-media-cache");
+    },
 
-        for (const [key, value] of cacheAPI.thumbnailCache.entries()) {
-            if (now - value.timestamp > 3600000) {
-                expired.push(key);
-            }
-        }
+    // Segments kept from earlier exports: { size, limit, count }
+    getRenderCacheInfo: () => ipcRenderer.invoke("get-render-cache-info"),
 
-        expired.forEach(key => cacheAPI.thumbnailCache.delete(key));
-    }
+    clearRenderCache: () => ipcRenderer.invoke("clear-render-cache")
 };
 
 // Main API object exposed to renderer
@@ -435,6 +519,8 @@ contextBridge.exposeInMainWorld("electronAPI", {
     ...systemAPI,
     ...encodingAPI,
     ...validationAPI,
+    ...waveformAPI,
+    ...exportAPI,
 
     // Cache management
     cache: cacheAPI,
@@ -541,7 +627,7 @@ contextBridge.exposeInMainWorld("electronAPI", {
         DEFAULT_BITRATE: 8,
 
         QUALITY_PRESETS: ['ultra', 'high', 'medium', 'fast'],
-        RESOLUTION_PRESETS: ['4K', '1080p', '720p', '480p'],
+        RESOLUTION_PRESETS: ['4K', '1080p', '720p', '480p', 'vertical-1080', 'vertical-720', 'portrait-1080', 'square-1080', 'square-720'],
 
         CACHE_DURATION: 3600000 // 1 hour in milliseconds
     },